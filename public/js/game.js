@@ -9,6 +9,8 @@ class Game {
     this.socket = io();
     this.playerId = null;
     this.roomCode = null;
+    this.sessionToken = null;
+    this.isHost = false;
     
     // Socket listener setup flag (prevent duplicate listeners)
     this.socketListenersSetup = false;
@@ -19,16 +21,32 @@ class Game {
       players: [],
       localPlayer: null,
       map: 'skeld',
+      settings: null, // Room rules, as last sent by the server
       tasks: [],
       imposters: [],
+      roleInfo: null, // Our role's name, team and abilities
+      bodies: [],
+      sabotage: null,
+      chatMessages: [],
+      taskBar: 'always',
+      meetingPhase: null,
       voted: false,
       voteTarget: null
     };
     
     // Game timers
     this.meetingTimer = null;
+    this.meetingResultsTimer = null;
+    this.voteResultsDuration = 4000;
     this.meetingEndTime = null;
     this.emergencyCooldown = 0;
+    this.serverTimeOffset = 0;
+    this.clockSynced = false;
+    this.ventCycleIndex = 0;
+    
+    // Snapshot interpolation - remote players are drawn slightly in the past
+    this.tickInterval = 1000 / 20;
+    this.interpolationDelay = this.tickInterval * 2;
     
     // Rendering state
     this.canvasResized = false;
@@ -42,10 +60,22 @@ class Game {
     // Controls
     this.joystick = null;
     this.moveDirection = { x: 0, y: 0 };
-    this.moveSpeed = 4;
+    this.baseMoveSpeed = 4;
+    this.moveSpeed = this.baseMoveSpeed;
+    
+    // Host settings the server enforces; mirrored so prediction agrees
+    this.killRange = 150;
+    this.visionScale = 1;
+    
+    // Client-side prediction - inputs the server has not acknowledged yet
+    this.inputSeq = 0;
+    this.pendingInputs = [];
     
     // Voice chat
     this.voiceChat = null;
+    this.voiceRange = 400; // Proximity chat falls silent beyond this distance
+    this.voiceRoutes = null; // Which voice channels can hear which, from the server
+    this.proximityVoiceActive = false;
     this.isMuted = false;
     
     // UI elements
@@ -87,15 +117,19 @@ class Game {
           { x: 1200, y: 900 }
         ],
         tasks: [],
+        // Must match the server vent graph
         vents: [
-          { x: 400, y: 400 },
-          { x: 1200, y: 400 },
-          { x: 400, y: 800 },
-          { x: 1200, y: 800 }
+          { id: 'vent_nw', x: 400, y: 400, connections: ['vent_ne', 'vent_sw'] },
+          { id: 'vent_ne', x: 1200, y: 400, connections: ['vent_nw', 'vent_se'] },
+          { id: 'vent_sw', x: 400, y: 800, connections: ['vent_nw', 'vent_se'] },
+          { id: 'vent_se', x: 1200, y: 800, connections: ['vent_ne', 'vent_sw'] }
         ]
       }
     };
     
+    // Mini-game currently open in the task modal
+    this.activeTaskGame = null;
+    
     // Task definitions
     this.taskTemplates = [
       { id: 'fix_wires', name: 'Fix Wires', type: 'short', duration: 3000 },
@@ -105,9 +139,22 @@ class Game {
       { id: 'divert_power', name: 'Divert Power', type: 'medium', duration: 4500 },
       { id: 'unlock_manifolds', name: 'Unlock Manifolds', type: 'short', duration: 2500 },
       { id: 'start_reactor', name: 'Start Reactor', type: 'medium', duration: 5000 },
-      { id: 'calibrate_distributor', name: 'Calibrate Distributor', type: 'long', duration: 7000 }
+      { id: 'calibrate_distributor', name: 'Calibrate Distributor', type: 'long', duration: 7000 },
+      { id: 'download_data', name: 'Download Data', type: 'long', duration: 5000 },
+      { id: 'upload_data', name: 'Upload Data', type: 'long', duration: 5000 },
+      { id: 'submit_scan', name: 'Submit Scan', type: 'medium', duration: 4000 },
+      { id: 'empty_trash', name: 'Empty Trash', type: 'short', duration: 2500 }
     ];
     
+    // Sabotage labels for the HUD
+    this.sabotageLabels = {
+      lights: '💡 Lights Out',
+      comms: '📡 Comms Down',
+      reactor: '☢️ Reactor Meltdown',
+      o2: '🫁 Oxygen Depleting',
+      doors: '🚪 Doors Locked'
+    };
+    
     // Initialize
     this.init();
   }
@@ -432,6 +479,18 @@ class Game {
       console.warn('[Game] close-settings not found');
     }
     
+    // Keep the slider readouts in step with the sliders
+    ['max-players-slider', 'kill-cooldown-slider', 'emergency-cooldown-slider'].forEach(id => {
+      const slider = document.getElementById(id);
+      if (slider) {
+        slider.addEventListener('input', () => {
+          this.updateSliderLabels();
+        });
+      } else {
+        console.warn(`[Game] ${id} not found`);
+      }
+    });
+    
     const saveSettings = document.getElementById('save-settings');
     if (saveSettings) {
       saveSettings.addEventListener('click', () => {
@@ -460,11 +519,82 @@ class Game {
       console.warn('[Game] toggle-mic-btn not found');
     }
     
+    // Text chat (lobby and meeting panels)
+    document.querySelectorAll('.chat-form').forEach(form => {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.sendChatMessage(form.querySelector('.chat-input'));
+      });
+    });
+    
+    // Vent controls
+    const ventBtn = document.getElementById('vent-btn');
+    if (ventBtn) {
+      ventBtn.addEventListener('click', () => {
+        this.toggleVent();
+      });
+    } else {
+      console.warn('[Game] vent-btn not found');
+    }
+    
+    const ventNextBtn = document.getElementById('vent-next-btn');
+    if (ventNextBtn) {
+      ventNextBtn.addEventListener('click', () => {
+        this.cycleVent();
+      });
+    } else {
+      console.warn('[Game] vent-next-btn not found');
+    }
+    
+    // Role ability (sheriff shot, scientist vitals, guardian angel shield)
+    const abilityBtn = document.getElementById('ability-btn');
+    if (abilityBtn) {
+      abilityBtn.addEventListener('click', () => {
+        this.useAbility();
+      });
+    } else {
+      console.warn('[Game] ability-btn not found');
+    }
+    
+    const closeVitalsModal = document.getElementById('close-vitals-modal');
+    if (closeVitalsModal) {
+      closeVitalsModal.addEventListener('click', () => {
+        this.hideModal('vitals-modal');
+      });
+    } else {
+      console.warn('[Game] close-vitals-modal not found');
+    }
+    
+    // Sabotage modal
+    const sabotageBtn = document.getElementById('sabotage-btn');
+    if (sabotageBtn) {
+      sabotageBtn.addEventListener('click', () => {
+        this.showModal('sabotage-modal');
+      });
+    } else {
+      console.warn('[Game] sabotage-btn not found');
+    }
+    
+    const closeSabotageModal = document.getElementById('close-sabotage-modal');
+    if (closeSabotageModal) {
+      closeSabotageModal.addEventListener('click', () => {
+        this.hideModal('sabotage-modal');
+      });
+    } else {
+      console.warn('[Game] close-sabotage-modal not found');
+    }
+    
+    document.querySelectorAll('.sabotage-option').forEach(option => {
+      option.addEventListener('click', () => {
+        this.triggerSabotage(option.dataset.sabotage);
+      });
+    });
+    
     // Task modal
     const closeTaskModal = document.getElementById('close-task-modal');
     if (closeTaskModal) {
       closeTaskModal.addEventListener('click', () => {
-        this.hideModal('task-modal');
+        this.closeTaskModal();
       });
     } else {
       console.warn('[Game] close-task-modal not found');
@@ -486,23 +616,30 @@ class Game {
       if (response.success) {
         this.playerId = response.playerId;
         this.roomCode = response.roomCode;
+        this.sessionToken = response.sessionToken;
         this.state.players = response.players;
         this.state.map = response.map;
+        this.state.chatMessages = response.chatHistory || [];
+        this.renderChat();
         
         document.getElementById('lobby-room-code').textContent = response.roomCode;
-        document.getElementById('max-players').textContent = response.settings.maxPlayers;
+        this.isHost = this.socket.id === response.host;
+        this.applySettings(response.settings);
+        this.updateHostControls();
         
         this.updatePlayerList();
         this.generateColorSelector();
         
-        if (this.socket.id === response.host) {
-          document.getElementById('start-game-btn').disabled = false;
-        }
-        
         this.showScreen('lobby');
       }
     });
     
+    // Chat message from the lobby or a meeting
+    this.socket.on('chatMessage', (message) => {
+      this.state.chatMessages.push(message);
+      this.appendChatMessage(message);
+    });
+    
     // Player joined
     this.socket.on('playerJoined', (player) => {
       this.state.players.push(player);
@@ -520,6 +657,25 @@ class Game {
       this.updatePlayerList();
     });
     
+    // Player lost connection - their slot is held while they reconnect
+    this.socket.on('playerDisconnected', (data) => {
+      const player = this.state.players.find(p => p.id === data.playerId);
+      if (player) {
+        player.connected = false;
+        this.showToast(`${player.name} lost connection`, 'warning');
+      }
+    });
+    
+    // Player rejoined after a dropped connection
+    this.socket.on('playerReconnected', (data) => {
+      const player = this.state.players.find(p => p.id === data.playerId);
+      if (player) {
+        player.connected = true;
+        player.socketId = data.socketId;
+        this.showToast(`${player.name} reconnected`, 'success');
+      }
+    });
+    
     // Player updated
     this.socket.on('playerUpdated', (data) => {
       const player = this.state.players.find(p => p.id === data.playerId);
@@ -535,7 +691,19 @@ class Game {
       if (player) {
         this.showToast(`${player.name} is now the host`, 'success');
       }
-      document.getElementById('start-game-btn').disabled = (this.socket.id !== data.newHostId);
+      this.isHost = data.newHostId === this.playerId;
+      this.updateHostControls();
+    });
+    
+    // Host took the room back to the lobby after a game
+    this.socket.on('lobbyReopened', (data) => {
+      this.enterLobby(data);
+    });
+    
+    // Host changed the lobby settings
+    this.socket.on('settingsUpdated', (data) => {
+      this.applySettings(data.settings);
+      this.showToast('Game settings updated', 'success');
     });
     
     // Game started
@@ -543,41 +711,121 @@ class Game {
       this.state.players = data.players;
       this.state.tasks = data.tasks;
       this.state.imposters = data.imposters;
+      this.state.roleInfo = data.roleInfo;
+      this.state.taskBar = data.taskBar || 'always';
+      this.state.bodies = [];
+      this.state.sabotage = null;
+      this.state.chatMessages = [];
+      this.renderChat();
       this.state.phase = 'tasks';
       this.state.voted = false;
       this.state.voteTarget = null;
+      this.clockSynced = false;
+      this.setTickRate(data.tickRate);
+      this.applyGameplay(data.gameplay);
+      this.voiceRoutes = data.voiceRoutes;
+      this.inputSeq = 0;
+      this.pendingInputs = [];
       
-      // Initialize voice chat
       // Clear any existing meeting timer first to prevent leaks
       if (this.meetingTimer) {
         clearInterval(this.meetingTimer);
         this.meetingTimer = null;
       }
-      this.initVoiceChat();
       
       // Update local player reference
       this.state.localPlayer = this.state.players.find(p => p.id === this.playerId);
       
+      // Initialize voice chat
+      this.initVoiceChat();
+      
       // Show game screen
       this.showScreen('game');
       
       // Update task progress
-      this.updateTaskProgress(0, data.totalTasks);
+      this.updateTaskBarMode();
+      this.updateTaskProgress(this.state.taskBar === 'never' ? null : 0, data.totalTasks);
+      this.updateTaskList();
+      this.updateSabotageButton();
       
       // Show role notification
-      if (this.state.localPlayer.role === 'imposter') {
+      const roleInfo = this.state.roleInfo;
+      if (roleInfo && roleInfo.team === 'imposters') {
         this.showToast('You are the IMPOSTER!', 'error');
+      } else if (roleInfo && roleInfo.team === 'neutral') {
+        this.showToast(`You are the ${roleInfo.name}! ${roleInfo.description}`, 'warning');
+      } else if (roleInfo && roleInfo.id !== 'crewmate') {
+        this.showToast(`You are the ${roleInfo.name}! ${roleInfo.description}`, 'success');
       } else {
         this.showToast('Complete all tasks to win!', 'success');
       }
     });
     
-    // Player moved
-    this.socket.on('playerMoved', (data) => {
+    // Server tick: positions of players in our vision that moved, and players that left it
+    this.socket.on('snapshot', (snapshot) => {
+      this.syncServerClock(snapshot.serverTime);
+      
+      if (snapshot.ack) {
+        this.reconcile(snapshot.ack.seq, snapshot.ack.x, snapshot.ack.y);
+      }
+      
+      snapshot.positions.forEach(([playerId, x, y]) => {
+        const player = this.state.players.find(p => p.id === playerId);
+        if (player) {
+          this.addPositionSample(player, snapshot.serverTime, x, y);
+        }
+      });
+      
+      snapshot.hidden.forEach(playerId => {
+        const player = this.state.players.find(p => p.id === playerId);
+        if (player) {
+          player.visible = false;
+          player.samples = [];
+          player.visualTask = null;
+        }
+      });
+      
+      snapshot.visuals.forEach(([playerId, visual]) => {
+        const player = this.state.players.find(p => p.id === playerId);
+        if (player) {
+          player.visualTask = visual;
+        }
+      });
+      
+      // Bodies that just came into view
+      if (snapshot.bodies) {
+        this.state.bodies.push(...snapshot.bodies);
+      }
+    });
+    
+    // Someone we can see started or stopped a visual task
+    this.socket.on('visualTask', (data) => {
+      const player = this.state.players.find(p => p.id === data.playerId);
+      if (player) {
+        player.visualTask = data.visual;
+      }
+    });
+    
+    // Server rejected one of our moves
+    this.socket.on('positionCorrection', (data) => {
+      this.reconcile(data.seq, data.x, data.y);
+    });
+    
+    // Player hid in a vent
+    this.socket.on('playerEnteredVent', (data) => {
+      const player = this.state.players.find(p => p.id === data.playerId);
+      if (player) {
+        player.inVent = data.ventId;
+      }
+    });
+    
+    // Player climbed out of a vent (also forced when a meeting starts)
+    this.socket.on('playerExitedVent', (data) => {
       const player = this.state.players.find(p => p.id === data.playerId);
       if (player) {
-        player.x = data.x;
-        player.y = data.y;
+        player.inVent = null;
+        player.visible = true;
+        this.snapPlayer(player, data.x, data.y);
       }
     });
     
@@ -585,42 +833,159 @@ class Game {
     this.socket.on('taskCompleted', (data) => {
       this.updateTaskProgress(data.progress, data.totalTasks);
       
+      if (data.playerId === this.playerId && data.task) {
+        const task = this.state.tasks.find(t => t.id === data.taskId);
+        if (task) {
+          Object.assign(task, data.task);
+          this.updateTaskList();
+        }
+        
+        // Multi-stage tasks continue somewhere else
+        if (!data.task.completed) {
+          this.showToast(`${data.task.name}: next stop ${data.task.location}`, 'success');
+          return;
+        }
+      }
+      
       const player = this.state.players.find(p => p.id === data.playerId);
       if (player) {
         this.showToast(`${player.name} completed a task!`, 'success');
       }
     });
     
+    // Total shrank because a player left for good
+    this.socket.on('taskProgressUpdated', (data) => {
+      this.updateTaskProgress(data.progress, data.totalTasks);
+    });
+    
+    // Task aborted by the server (walked away, meeting called)
+    this.socket.on('taskCancelled', (data) => {
+      const miniGame = this.activeTaskGame;
+      if (miniGame && miniGame.task && miniGame.task.id === data.taskId) {
+        this.closeTaskModal();
+        this.showToast(`Task cancelled: ${data.reason}`, 'error');
+      }
+    });
+    
     // Player killed
     this.socket.on('playerKilled', (data) => {
       const player = this.state.players.find(p => p.id === data.playerId);
+      if (data.body) {
+        this.state.bodies.push(data.body);
+      }
       if (player) {
         player.isAlive = false;
         this.showToast(`${player.name} was killed!`, 'error');
-        
-        // Remove player from voice chat
-        if (this.voiceChat) {
-          this.voiceChat.disconnectFromPeer(data.playerId);
+      }
+    });
+    
+    // Dead and ejected players move to the ghost channel
+    this.socket.on('channelChanged', (data) => {
+      const player = this.state.players.find(p => p.id === data.playerId);
+      if (player) {
+        player.channel = data.channel;
+      }
+      
+      if (this.voiceChat) {
+        if (data.playerId === this.playerId) {
+          this.voiceChat.setChannel(data.channel);
+        } else {
+          this.voiceChat.setPeerChannel(data.playerId, data.channel);
         }
       }
     });
     
+    // Sabotage started
+    this.socket.on('sabotageStarted', (sabotage) => {
+      this.syncServerClock(sabotage.serverTime);
+      this.state.sabotage = sabotage;
+      this.showToast(`${this.sabotageLabels[sabotage.type]}!`, 'error');
+      this.updateTaskList();
+    });
+    
+    // One station of a multi-station sabotage fixed
+    this.socket.on('sabotageProgress', (data) => {
+      if (!this.state.sabotage) return;
+      const station = this.state.sabotage.stations.find(s => s.id === data.stationId);
+      if (station) {
+        station.fixed = true;
+      }
+    });
+    
+    // Sabotage fixed (or ended by a meeting)
+    this.socket.on('sabotageResolved', (data) => {
+      this.state.sabotage = null;
+      this.updateTaskList();
+      this.updateSabotageHud();
+      
+      if (data.fixedBy) {
+        this.showToast(`${this.sabotageLabels[data.type]} fixed`, 'success');
+      }
+    });
+    
     // Meeting called
     this.socket.on('meetingCalled', (data) => {
       this.state.phase = 'meeting';
+      this.closeTaskModal();
+      this.updateTaskProgress(data.taskProgress, data.totalTasks);
       this.showMeetingScreen(data);
     });
     
+    // Meeting phase changed (discussion -> voting)
+    this.socket.on('meetingPhaseChanged', (data) => {
+      if (this.state.phase !== 'meeting') return;
+      this.state.meetingPhase = data.phase;
+      this.startMeetingTimer(data.phase, data.phaseEndsAt, data.serverTime);
+    });
+    
     // Meeting ended
     this.socket.on('meetingEnded', (results) => {
-      this.state.phase = 'tasks';
-      this.showScreen('game');
+      if (this.meetingTimer) {
+        clearInterval(this.meetingTimer);
+        this.meetingTimer = null;
+      }
       
       if (results.ejected) {
-        this.showToast(`${results.ejected.name} was ejected!`, 'warning');
+        const ejectedPlayer = this.state.players.find(p => p.id === results.ejected.id);
+        if (ejectedPlayer) {
+          ejectedPlayer.isAlive = false;
+        }
+      }
+      
+      // Bodies are cleared once a meeting has been held
+      this.state.bodies = [];
+      
+      // Apply respawn positions from the server - only players we can see are included
+      if (results.positions) {
+        this.state.players.forEach(player => {
+          const position = results.positions[player.id];
+          player.visible = !!position;
+          if (position) {
+            this.snapPlayer(player, position.x, position.y);
+          }
+        });
       }
       
+      this.showVoteResults(results);
+      
+      // Keep the results on screen briefly before returning to the map
+      clearTimeout(this.meetingResultsTimer);
+      this.meetingResultsTimer = setTimeout(() => {
+        this.meetingResultsTimer = null;
+        if (this.state.phase !== 'meeting') return;
+        
+        this.state.phase = 'tasks';
+        this.showScreen('game');
+        
+        if (results.ejected) {
+          this.showToast(`${results.ejected.name} was ejected!`, 'warning');
+        } else {
+          this.showToast(results.tie ? 'Tie vote - no one was ejected' : 'No one was ejected', 'warning');
+        }
+      }, this.voteResultsDuration);
+      
       // Reset voting state
+      this.state.meetingPhase = null;
       this.state.voted = false;
       this.state.voteTarget = null;
     });
@@ -628,6 +993,12 @@ class Game {
     // Game over
     this.socket.on('gameOver', (data) => {
       this.state.phase = 'game_over';
+      this.state.sabotage = null;
+      this.updateSabotageHud();
+      this.updateVentButtons(null);
+      this.hideModal('sabotage-modal');
+      this.closeTaskModal();
+      this.updateTaskProgress(data.taskProgress, data.totalTasks);
       this.showGameOverScreen(data);
     });
   }
@@ -673,9 +1044,13 @@ class Game {
       return;
     }
     
+    const localPlayer = this.state.localPlayer;
+    
     this.voiceChat = new VoiceChat({
       socket: this.socket,
       playerId: this.playerId,
+      channel: localPlayer ? localPlayer.channel : null,
+      routes: this.voiceRoutes,
       onPeerJoin: (playerId) => {
         const player = this.state.players.find(p => p.id === playerId);
         if (player) {
@@ -693,22 +1068,161 @@ class Game {
       }
     });
     
+    this.state.players.forEach(player => {
+      if (player.id !== this.playerId && player.channel) {
+        this.voiceChat.setPeerChannel(player.id, player.channel);
+      }
+    });
+    
     await this.voiceChat.init();
   }
   
-  createRoom() {
-    const maxPlayers = parseInt(document.getElementById('max-players-slider').value);
+  /** Room settings as currently entered in the settings modal */
+  readSettingsForm() {
     const settings = {
-      maxPlayers,
-      map: document.getElementById('map-select').value
+      maxPlayers: parseInt(document.getElementById('max-players-slider').value),
+      killCooldown: parseInt(document.getElementById('kill-cooldown-slider').value),
+      emergencyCooldown: parseInt(document.getElementById('emergency-cooldown-slider').value),
+      map: document.getElementById('map-select').value,
+      taskBar: document.getElementById('task-bar-select').value,
+      imposterCount: parseInt(document.getElementById('imposter-count-select').value) || null,
+      killDistance: document.getElementById('kill-distance-select').value,
+      crewVision: parseFloat(document.getElementById('crew-vision-select').value),
+      imposterVision: parseFloat(document.getElementById('imposter-vision-select').value),
+      playerSpeed: parseFloat(document.getElementById('player-speed-select').value),
+      roleCounts: {}
+    };
+    
+    // Special roles - typed values can go past the input's limits
+    document.querySelectorAll('.role-count-input').forEach(input => {
+      const count = parseInt(input.value) || 0;
+      settings.roleCounts[input.dataset.role] = Math.min(parseInt(input.max) || 3, Math.max(0, count));
+    });
+    
+    return settings;
+  }
+  
+  /** Shows the room's settings in the modal and the lobby summary */
+  applySettings(settings) {
+    if (!settings) return;
+    this.state.settings = settings;
+    
+    const values = {
+      'max-players-slider': settings.maxPlayers,
+      'kill-cooldown-slider': settings.killCooldown,
+      'emergency-cooldown-slider': settings.emergencyCooldown,
+      'map-select': settings.map,
+      'task-bar-select': settings.taskBar,
+      'imposter-count-select': settings.imposterCount || '',
+      'kill-distance-select': settings.killDistance,
+      'crew-vision-select': settings.crewVision,
+      'imposter-vision-select': settings.imposterVision,
+      'player-speed-select': settings.playerSpeed
+    };
+    Object.keys(values).forEach(id => {
+      const input = document.getElementById(id);
+      if (input && values[id] !== undefined) {
+        input.value = values[id];
+      }
+    });
+    
+    document.querySelectorAll('.role-count-input').forEach(input => {
+      input.value = (settings.roleCounts && settings.roleCounts[input.dataset.role]) || 0;
+    });
+    
+    this.updateSliderLabels();
+    document.getElementById('max-players').textContent = settings.maxPlayers;
+    this.renderLobbyRules(settings);
+  }
+  
+  updateSliderLabels() {
+    ['max-players', 'kill-cooldown', 'emergency-cooldown'].forEach(name => {
+      const slider = document.getElementById(`${name}-slider`);
+      const label = document.getElementById(`${name}-value`);
+      if (slider && label) {
+        label.textContent = slider.value;
+      }
+    });
+  }
+  
+  renderLobbyRules(settings) {
+    const container = document.getElementById('lobby-rules');
+    if (!container) {
+      console.warn('[Game] lobby-rules not found');
+      return;
+    }
+    
+    const roleNames = {
+      engineer: 'Engineer',
+      scientist: 'Scientist',
+      sheriff: 'Sheriff',
+      guardian_angel: 'Guardian Angel',
+      jester: 'Jester',
+      survivor: 'Survivor'
     };
+    const roles = Object.keys(settings.roleCounts || {})
+      .filter(role => settings.roleCounts[role] > 0)
+      .map(role => `${settings.roleCounts[role]} ${roleNames[role] || role}`);
+    
+    const mapSelect = document.getElementById('map-select');
+    const mapOption = mapSelect ? mapSelect.querySelector(`option[value="${settings.map}"]`) : null;
+    
+    const rules = [
+      ['Map', mapOption ? mapOption.textContent : settings.map],
+      ['Imposters', settings.imposterCount || 'Auto'],
+      ['Kill cooldown', `${settings.killCooldown}s`],
+      ['Kill distance', settings.killDistance],
+      ['Emergency cooldown', `${settings.emergencyCooldown}s`],
+      ['Discussion / voting', `${settings.discussionTime}s / ${settings.votingTime}s`],
+      ['Task bar', settings.taskBar],
+      ['Vision', `crew ${settings.crewVision}x, imposters ${settings.imposterVision}x`],
+      ['Speed', `${settings.playerSpeed}x`],
+      ['Roles', roles.length ? roles.join(', ') : 'None']
+    ];
+    
+    container.innerHTML = '';
+    rules.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'lobby-rule';
+      
+      const name = document.createElement('span');
+      name.className = 'lobby-rule-label';
+      name.textContent = label;
+      
+      const text = document.createElement('span');
+      text.textContent = value;
+      
+      item.append(name, text);
+      container.appendChild(item);
+    });
+  }
+  
+  /** Only the host can edit the settings; everyone else gets a read-only view */
+  updateHostControls() {
+    const startBtn = document.getElementById('start-game-btn');
+    if (startBtn) {
+      startBtn.disabled = !this.isHost;
+    }
+    
+    document.querySelectorAll('#settings-modal input, #settings-modal select').forEach(input => {
+      input.disabled = !this.isHost;
+    });
+    
+    const saveBtn = document.getElementById('save-settings');
+    if (saveBtn) {
+      saveBtn.style.display = this.isHost ? '' : 'none';
+    }
+  }
+  
+  createRoom() {
+    const settings = this.readSettingsForm();
     
     this.socket.emit('createRoom', settings, (response) => {
       if (response && response.success) {
         // Automatically join the created room
         this.joinRoom(response.roomCode);
       } else {
-        this.showToast('Failed to create room', 'error');
+        this.showToast((response && response.message) || 'Failed to create room', 'error');
       }
     });
   }
@@ -828,6 +1342,9 @@ class Game {
     this.showScreen('menu');
     this.roomCode = null;
     this.playerId = null;
+    this.sessionToken = null;
+    this.isHost = false;
+    this.updateHostControls();
     
     // Clean up joystick
     if (this.joystick) {
@@ -844,17 +1361,24 @@ class Game {
       this.voiceChat = null;
     }
     
-    // Clear meeting timer
+    // Clear meeting timers
     if (this.meetingTimer) {
       clearInterval(this.meetingTimer);
       this.meetingTimer = null;
     }
+    clearTimeout(this.meetingResultsTimer);
+    this.meetingResultsTimer = null;
     
     // Reset game state
     this.state.phase = 'lobby';
     this.state.players = [];
     this.state.tasks = [];
     this.state.imposters = [];
+    this.state.roleInfo = null;
+    this.state.bodies = [];
+    this.state.sabotage = null;
+    this.state.chatMessages = [];
+    this.renderChat();
     this.state.localPlayer = null;
     this.state.voted = false;
     this.state.voteTarget = null;
@@ -867,10 +1391,19 @@ class Game {
     if (this.state.phase !== 'tasks') return;
     
     const player = this.state.localPlayer;
-    if (!player || !player.isAlive) return;
+    if (!player || player.inVent) return;
+    
+    // Ghosts can only finish their own tasks
+    if (!player.isAlive) {
+      const task = this.findNearbyTask(player);
+      if (task) {
+        this.showTaskModal(task);
+      }
+      return;
+    }
     
-    // If imposter, try to kill nearby crewmate
-    if (player.role === 'imposter') {
+    // Killers who cannot misfire use the action button; the sheriff has their own
+    if (this.hasAbility('canKill') && !this.hasAbility('misfire')) {
       const target = this.findClosestKillTarget(player);
       if (target) {
         this.socket.emit('killPlayer', target.id, (response) => {
@@ -884,6 +1417,13 @@ class Game {
       }
     }
     
+    // Fix an active sabotage before anything else
+    const station = this.findNearbySabotageStation(player);
+    if (station) {
+      this.fixSabotage(station);
+      return;
+    }
+    
     // Find closest interactable object
     let closestTask = null;
     let closestTaskDist = Infinity;
@@ -905,16 +1445,14 @@ class Game {
     }
     
     // Check for dead bodies
-    for (const otherPlayer of this.state.players) {
-      if (otherPlayer.id !== this.playerId && !otherPlayer.isAlive) {
-        const dx = player.x - otherPlayer.x;
-        const dy = player.y - otherPlayer.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance < 60 && distance < closestBodyDist) {
-          closestBody = otherPlayer;
-          closestBodyDist = distance;
-        }
+    for (const body of this.state.bodies) {
+      const dx = player.x - body.x;
+      const dy = player.y - body.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      
+      if (distance < 60 && distance < closestBodyDist) {
+        closestBody = body;
+        closestBodyDist = distance;
       }
     }
     
@@ -926,20 +1464,35 @@ class Game {
     }
   }
   
+  findNearbyTask(player) {
+    return this.state.tasks.find(task => {
+      if (!task || task.assignedTo !== this.playerId || task.completed) return false;
+      const dx = player.x - task.x;
+      const dy = player.y - task.y;
+      return Math.sqrt(dx * dx + dy * dy) < 60;
+    }) || null;
+  }
+  
+  // Imposters know each other and never kill their own
+  isTeammate(player) {
+    const roleInfo = this.state.roleInfo;
+    return !!roleInfo && roleInfo.team === 'imposters' && this.state.imposters.includes(player.id);
+  }
+  
   findClosestKillTarget(player) {
     let closestTarget = null;
     let closestDist = Infinity;
     
     for (const otherPlayer of this.state.players) {
       if (otherPlayer.id === player.id) continue;
-      if (!otherPlayer.isAlive) continue;
-      if (otherPlayer.role === 'imposter') continue;
+      if (!otherPlayer.isAlive || otherPlayer.visible === false) continue;
+      if (this.isTeammate(otherPlayer)) continue;
       
       const dx = player.x - otherPlayer.x;
       const dy = player.y - otherPlayer.y;
       const distance = Math.sqrt(dx * dx + dy * dy);
       
-      if (distance < 150 && distance < closestDist) {
+      if (distance < this.killRange && distance < closestDist) {
         closestTarget = otherPlayer;
         closestDist = distance;
       }
@@ -947,133 +1500,194 @@ class Game {
     return closestTarget;
   }
   
-  reportBody() {
-    // Immediate UI feedback
-    this.showToast('Reporting body...', 'warning');
+  findNearbySabotageStation(player) {
+    const sabotage = this.state.sabotage;
+    if (!sabotage) return null;
     
-    this.socket.emit('reportBody', (response) => {
-      if (!response.success) {
+    return sabotage.stations.find(station => {
+      if (station.fixed) return false;
+      const dx = player.x - station.x;
+      const dy = player.y - station.y;
+      return Math.sqrt(dx * dx + dy * dy) < 60;
+    }) || null;
+  }
+  
+  triggerSabotage(type) {
+    this.socket.emit('sabotage', type, (response) => {
+      if (response.success) {
+        this.hideModal('sabotage-modal');
+      } else {
         this.showToast(response.message, 'error');
       }
     });
   }
   
-  callEmergency() {
-    if (this.state.phase !== 'tasks') return;
-    
-    const player = this.state.localPlayer;
-    if (!player || !player.isAlive) return;
-    
-    this.socket.emit('emergencyMeeting', (response) => {
-      if (!response.success) {
+  fixSabotage(station) {
+    this.socket.emit('fixSabotage', station.id, (response) => {
+      if (response.success) {
+        this.showToast(`${station.name} fixed`, 'success');
+      } else {
         this.showToast(response.message, 'error');
       }
     });
   }
   
-  showTaskModal(task) {
-    const modal = document.getElementById('task-modal');
-    document.getElementById('task-title').textContent = task.name;
+  findNearbyVent(player) {
+    const map = this.maps[this.state.map];
     
-    const container = document.getElementById('task-container');
+    return map.vents.find(vent => {
+      const dx = player.x - vent.x;
+      const dy = player.y - vent.y;
+      return Math.sqrt(dx * dx + dy * dy) < 60;
+    }) || null;
+  }
+  
+  toggleVent() {
+    const player = this.state.localPlayer;
+    if (!player || !this.hasAbility('canVent') || !player.isAlive) return;
     
-    // Create different task types
-    if (task.id.includes('wire')) {
-      this.createWireTask(container, task);
-    } else {
-      container.innerHTML = `
-        <div class="task-progress-container">
-          <div class="task-progress-bar">
-            <div class="task-progress-fill" id="task-modal-progress" style="width: 0%"></div>
-          </div>
-          <p>Click repeatedly to complete...</p>
-        </div>
-      `;
-      
-      // Simple click task
-      let clicks = 0;
-      const totalClicks = 5;
-      
-      const clickHandler = () => {
-        clicks++;
-        const progress = (clicks / totalClicks) * 100;
-        const progressBar = document.getElementById('task-modal-progress');
-        if (progressBar) {
-          progressBar.style.width = `${progress}%`;
-        }
-        
-        if (clicks >= totalClicks) {
-          container.removeEventListener('click', clickHandler);
-          this.completeTask(task.id);
-          this.hideModal('task-modal');
+    if (player.inVent) {
+      this.socket.emit('exitVent', (response) => {
+        if (!response.success) {
+          this.showToast(response.message, 'error');
         }
-      };
-      
-      container.addEventListener('click', clickHandler, { once: true });
-    }
-    
-    this.showModal('task-modal');
-  }
-  
-  createWireTask(container, task) {
-    const colors = ['#FF0000', '#00FF00', '#0000FF', '#FFFF00'];
-    const leftWires = [...colors].sort(() => Math.random() - 0.5);
-    const rightWires = [...colors].sort(() => Math.random() - 0.5);
-    
-    container.innerHTML = `
-      <div class="task-wire-container">
-        <div class="wire-pair">
-          <div class="wire-col">
-            ${leftWires.map((color, i) => `
-              <div class="wire" data-color="${color}" data-side="left" data-index="${i}" 
-                   style="background-color: ${color}"></div>
-            `).join('')}
-          </div>
-          <div class="wire-col">
-            ${rightWires.map((color, i) => `
-              <div class="wire" data-color="${color}" data-side="right" data-index="${i}"
-                   style="background-color: ${color}"></div>
-            `).join('')}
-          </div>
-        </div>
-      </div>
-    `;
+      });
+      return;
+    }
     
-    let selectedWire = null;
-    let connected = 0;
+    const vent = this.findNearbyVent(player);
+    if (!vent) return;
     
-    container.querySelectorAll('.wire').forEach(wire => {
-      wire.addEventListener('click', (e) => {
-        const clickedWire = e.target;
-        
-        if (!selectedWire) {
-          selectedWire = clickedWire;
-          clickedWire.classList.add('selected');
-        } else {
-          const color1 = selectedWire.dataset.color;
-          const color2 = clickedWire.dataset.color;
-          
-          if (color1 === color2 && selectedWire.dataset.side !== clickedWire.dataset.side) {
-            // Correct connection
-            connected++;
-            selectedWire.style.opacity = '0.3';
-            clickedWire.style.opacity = '0.3';
-            selectedWire.classList.remove('selected');
-            selectedWire = null;
-            
-            if (connected >= colors.length) {
-              this.completeTask(task.id);
-              this.hideModal('task-modal');
-            }
-          } else {
-            // Wrong connection
-            this.showToast('Wrong connection!', 'error');
-            selectedWire.classList.remove('selected');
-            selectedWire = null;
-          }
-        }
-      });
-    });
+    this.socket.emit('enterVent', vent.id, (response) => {
+      if (response.success) {
+        player.inVent = response.ventId;
+        this.snapPlayer(player, response.x, response.y);
+        this.ventCycleIndex = 0;
+      } else {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  /**
+   * Travel to the next vent connected to the current one
+   */
+  cycleVent() {
+    const player = this.state.localPlayer;
+    if (!player || !player.inVent) return;
+    
+    const map = this.maps[this.state.map];
+    const current = map.vents.find(v => v.id === player.inVent);
+    if (!current) return;
+    
+    const targetId = current.connections[this.ventCycleIndex % current.connections.length];
+    this.ventCycleIndex++;
+    
+    this.socket.emit('moveVent', targetId, (response) => {
+      if (response.success) {
+        player.inVent = response.ventId;
+        this.snapPlayer(player, response.x, response.y);
+      } else {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  updateVentButtons(player) {
+    const ventBtn = document.getElementById('vent-btn');
+    const ventNextBtn = document.getElementById('vent-next-btn');
+    if (!ventBtn || !ventNextBtn) return;
+    
+    const canVent = !!player && this.hasAbility('canVent') && player.isAlive && this.state.phase === 'tasks';
+    ventBtn.classList.toggle('visible', canVent && (!!player.inVent || !!this.findNearbyVent(player)));
+    ventNextBtn.classList.toggle('visible', canVent && !!player.inVent);
+  }
+  
+  /**
+   * Doors closed by a door lock sabotage act as extra walls
+   */
+  getClosedDoors() {
+    const sabotage = this.state.sabotage;
+    return sabotage && sabotage.type === 'doors' ? sabotage.doors : [];
+  }
+  
+  reportBody() {
+    // Immediate UI feedback
+    this.showToast('Reporting body...', 'warning');
+    
+    this.socket.emit('reportBody', (response) => {
+      if (!response.success) {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  callEmergency() {
+    if (this.state.phase !== 'tasks') return;
+    
+    const player = this.state.localPlayer;
+    if (!player || !player.isAlive) return;
+    
+    this.socket.emit('emergencyMeeting', (response) => {
+      if (!response.success) {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  showTaskModal(task) {
+    const container = document.getElementById('task-container');
+    const progressBar = document.getElementById('task-modal-progress');
+    if (!container) {
+      console.warn('[Game] task-container not found');
+      return;
+    }
+    
+    this.closeTaskModal();
+    
+    // The server checks we are at the task and times how long it takes
+    this.socket.emit('startTask', task.id, (response) => {
+      if (!response.success) {
+        this.showToast(response.message, 'error');
+        return;
+      }
+      
+      const startedAt = Date.now();
+      document.getElementById('task-title').textContent = task.stages && task.stages.length > 1
+        ? `${task.name} (${task.stage + 1}/${task.stages.length})`
+        : task.name;
+      if (progressBar) progressBar.style.width = '0%';
+      
+      const template = this.taskTemplates.find(t => t.id === (task.game || task.id));
+      const miniGame = window.TaskMiniGames.create(task, container, {
+        duration: template ? template.duration : undefined,
+        onProgress: (fraction) => {
+          if (progressBar) progressBar.style.width = `${fraction * 100}%`;
+        },
+        onComplete: () => {
+          // Finishing faster than the server allows would be rejected
+          const wait = Math.max(0, startedAt + response.minDuration - Date.now());
+          setTimeout(() => {
+            if (this.activeTaskGame !== miniGame) return;
+            this.completeTask(task.id);
+            this.closeTaskModal();
+          }, Math.max(wait, 300));
+        }
+      });
+      
+      this.activeTaskGame = miniGame;
+      if (miniGame) {
+        this.showModal('task-modal');
+      }
+    });
+  }
+  
+  closeTaskModal() {
+    if (this.activeTaskGame) {
+      this.activeTaskGame.destroy();
+      this.activeTaskGame = null;
+    }
+    this.hideModal('task-modal');
   }
   
   completeTask(taskId) {
@@ -1082,6 +1696,8 @@ class Game {
         this.showToast('Task completed!', 'success');
         // Show task completion animation
         this.showTaskCompleteAnimation();
+      } else {
+        this.showToast(response.message, 'error');
       }
     });
   }
@@ -1102,9 +1718,13 @@ class Game {
     document.getElementById('meeting-title').textContent = 
       data.type === 'body' ? 'Body Reported' : 'Emergency Meeting';
     
+    // Reset vote button from any previous meeting
+    document.getElementById('confirm-vote-btn').textContent = 'Confirm Vote';
+    
     this.state.players.forEach(player => {
       const card = document.createElement('div');
       card.className = 'vote-card';
+      card.dataset.playerId = player.id;
       if (!player.isAlive) card.classList.add('dead');
       
       // Escape HTML to prevent XSS - escape all dynamic content
@@ -1130,70 +1750,58 @@ class Game {
           document.querySelectorAll('.vote-card').forEach(c => c.classList.remove('selected'));
           card.classList.add('selected');
           this.state.voteTarget = player.id;
-          document.getElementById('confirm-vote-btn').disabled = false;
+          document.getElementById('confirm-vote-btn').disabled =
+            this.state.voted || this.state.meetingPhase !== 'voting';
         });
       }
       
       grid.appendChild(card);
     });
     
-    this.startMeetingTimer(data.discussionTime, data.votingTime);
+    this.state.meetingPhase = data.phase;
+    this.startMeetingTimer(data.phase, data.phaseEndsAt, data.serverTime);
     this.showScreen('meeting');
   }
   
-  startMeetingTimer(discussionTime, votingTime) {
+  /**
+   * Count down to the server's phase end timestamp
+   * The server owns the meeting schedule; the client only displays it
+   */
+  startMeetingTimer(meetingPhase, phaseEndsAt, serverTime) {
     const countdown = document.getElementById('meeting-countdown');
     const phase = document.getElementById('meeting-phase');
     
-    let currentPhase = 'discussion';
-    let discussionTimeLeft = discussionTime;
-    let votingTimeLeft = votingTime;
+    // Correct for clock drift between this device and the server
+    this.syncServerClock(serverTime);
     
-    phase.textContent = 'Discussion';
-    countdown.textContent = discussionTimeLeft;
+    phase.textContent = meetingPhase === 'voting' ? 'Voting' : 'Discussion';
     
-    // Use timestamp-based timing for accuracy
-    const startTime = Date.now();
-    const discussionDuration = discussionTime * 1000;
-    const votingDuration = votingTime * 1000;
+    // Voting is only accepted by the server during the voting phase
+    const isVoting = meetingPhase === 'voting';
+    document.getElementById('skip-vote-btn').disabled = !isVoting || this.state.voted;
+    document.getElementById('confirm-vote-btn').disabled = !isVoting || this.state.voted || !this.state.voteTarget;
+    
+    if (isVoting && !this.state.voted) {
+      this.showToast('Submit your vote!', 'warning');
+    }
     
     // Clear any existing timer
     if (this.meetingTimer) {
       clearInterval(this.meetingTimer);
     }
     
-    this.meetingTimer = setInterval(() => {
-      const elapsed = Date.now() - startTime;
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((phaseEndsAt - (Date.now() + this.serverTimeOffset)) / 1000));
+      countdown.textContent = remaining;
       
-      if (currentPhase === 'discussion') {
-        const remaining = Math.max(0, Math.ceil((discussionDuration - elapsed) / 1000));
-        countdown.textContent = remaining;
-        
-        if (remaining <= 0) {
-          currentPhase = 'voting';
-          phase.textContent = 'Voting';
-          countdown.textContent = votingTimeLeft;
-          
-          // Enable skip vote button
-          document.getElementById('skip-vote-btn').disabled = false;
-          
-          // Auto-end meeting if everyone voted
-          if (!this.state.voted) {
-            this.showToast('Submit your vote!', 'warning');
-          }
-        }
-      } else {
-        const votingElapsed = elapsed - discussionDuration;
-        const remaining = Math.max(0, Math.ceil((votingDuration - votingElapsed) / 1000));
-        countdown.textContent = remaining;
-        
-        if (remaining <= 0) {
-          clearInterval(this.meetingTimer);
-          this.meetingTimer = null;
-          this.endMeeting();
-        }
+      if (remaining <= 0) {
+        clearInterval(this.meetingTimer);
+        this.meetingTimer = null;
       }
-    }, 100);
+    };
+    
+    tick();
+    this.meetingTimer = setInterval(tick, 100);
   }
   
   skipVote() {
@@ -1222,13 +1830,36 @@ class Game {
     });
   }
   
-  endMeeting() {
-    // Clear meeting timer to prevent memory leaks
-    if (this.meetingTimer) {
-      clearInterval(this.meetingTimer);
-      this.meetingTimer = null;
-    }
-    this.socket.emit('endMeeting', {});
+  /**
+   * Show who voted for whom on the meeting screen
+   */
+  showVoteResults(results) {
+    document.getElementById('meeting-phase').textContent = 'Results';
+    document.getElementById('meeting-countdown').textContent = `Skipped: ${results.counts.skip || 0}`;
+    document.getElementById('confirm-vote-btn').disabled = true;
+    document.getElementById('skip-vote-btn').disabled = true;
+    
+    const validColorRegex = /^#[0-9A-Fa-f]{6}$/;
+    
+    document.querySelectorAll('.vote-card').forEach(card => {
+      const indicator = card.querySelector('.vote-indicator');
+      if (!indicator) return;
+      indicator.innerHTML = '';
+      
+      Object.entries(results.votes).forEach(([voterId, targetId]) => {
+        if (targetId !== card.dataset.playerId) return;
+        
+        const voter = this.state.players.find(p => p.id === voterId);
+        const dot = document.createElement('span');
+        dot.className = 'vote-dot';
+        dot.style.backgroundColor = voter && validColorRegex.test(voter.color) ? voter.color : '#808080';
+        indicator.appendChild(dot);
+      });
+      
+      if (results.ejected && results.ejected.id === card.dataset.playerId) {
+        card.classList.add('ejected');
+      }
+    });
   }
   
   showGameOverScreen(data) {
@@ -1238,16 +1869,40 @@ class Game {
     
     reason.textContent = data.reason;
     
-    if (data.winners === 'crewmates') {
+    const winners = data.winners || [];
+    if (data.winningTeam === 'crew') {
       title.textContent = 'Crewmates Win!';
       title.style.color = '#10B981';
       container.innerHTML = '<span class="winner-icon">✅</span>';
-    } else {
+    } else if (data.winningTeam === 'imposters') {
       title.textContent = 'Imposters Win!';
       title.style.color = '#EF4444';
       container.innerHTML = '<span class="winner-icon">🔪</span>';
+    } else {
+      title.textContent = `${winners.length ? winners[0].roleName : 'Neutral'} Wins!`;
+      title.style.color = '#A855F7';
+      container.innerHTML = '<span class="winner-icon">🃏</span>';
     }
     
+    // Everyone who won, with their role
+    const list = document.createElement('div');
+    list.className = 'winner-list';
+    winners.forEach(winner => {
+      const item = document.createElement('div');
+      item.className = `winner-item${winner.id === this.playerId ? ' self' : ''}`;
+      
+      const swatch = document.createElement('span');
+      swatch.className = 'winner-color';
+      swatch.style.backgroundColor = winner.color;
+      
+      const name = document.createElement('span');
+      name.textContent = `${winner.name} (${winner.roleName})`;
+      
+      item.append(swatch, name);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+    
     this.showScreen('gameover');
     
     // Disconnect voice chat
@@ -1258,6 +1913,15 @@ class Game {
   }
   
   returnToLobby() {
+    // The server reopens the lobby for the host and answers with lobbyReopened
+    this.socket.emit('returnToLobby', (response) => {
+      if (!response.success) {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  enterLobby(data) {
     // Clean up joystick
     if (this.joystick) {
       this.joystick.destroy();
@@ -1267,20 +1931,28 @@ class Game {
     // Reset move direction
     this.moveDirection = { x: 0, y: 0 };
     
-    // Clear player list for fresh game state
-    this.state.players = [];
+    // Clear the finished game's state
     this.state.tasks = [];
     this.state.imposters = [];
+    this.state.roleInfo = null;
+    this.state.bodies = [];
+    this.state.sabotage = null;
+    this.state.chatMessages = [];
+    this.renderChat();
     this.state.localPlayer = null;
+    this.updateTaskList();
+    this.updateSabotageHud();
     
     this.showScreen('lobby');
     this.state.phase = 'lobby';
     
-    // Clear any active meeting timer
+    // Clear any active meeting timers
     if (this.meetingTimer) {
       clearInterval(this.meetingTimer);
       this.meetingTimer = null;
     }
+    clearTimeout(this.meetingResultsTimer);
+    this.meetingResultsTimer = null;
     
     // Reset all timers and game state
     this.emergencyCooldown = 0;
@@ -1298,6 +1970,12 @@ class Game {
     
     // Reset mute state
     this.isMuted = false;
+    
+    this.state.players = data.players;
+    this.isHost = this.socket.id === data.host;
+    this.applySettings(data.settings);
+    this.updateHostControls();
+    this.updatePlayerList();
   }
   
   toggleVoiceModal() {
@@ -1332,11 +2010,263 @@ class Game {
     
     if (!fill || !text) return;
     
+    // The server sends null while the task bar is hidden
+    if (completed === null || completed === undefined) {
+      fill.style.width = '0%';
+      text.textContent = `?/${total}`;
+      return;
+    }
+    
     const percentage = total > 0 ? (completed / total) * 100 : 0;
     fill.style.width = `${percentage}%`;
     text.textContent = `${completed}/${total}`;
   }
   
+  /**
+   * Mark the task bar as live, refreshed at meetings, or hidden
+   */
+  updateTaskBarMode() {
+    const container = document.getElementById('task-progress-container');
+    if (!container) return;
+    
+    const mode = this.state.taskBar;
+    container.classList.toggle('meetings-only', mode === 'meetings');
+    container.classList.toggle('hidden-progress', mode === 'never');
+    container.title = mode === 'meetings'
+      ? 'Task progress updates during meetings'
+      : mode === 'never' ? 'Task progress is hidden' : '';
+  }
+  
+  sendChatMessage(input) {
+    const text = input.value.trim();
+    if (!text) return;
+    
+    this.socket.emit('chatMessage', text, (response) => {
+      if (response.success) {
+        input.value = '';
+      } else {
+        this.showToast(response.message, 'error');
+      }
+    });
+  }
+  
+  renderChat() {
+    document.querySelectorAll('.chat-messages').forEach(container => {
+      container.innerHTML = '';
+    });
+    this.state.chatMessages.forEach(message => this.appendChatMessage(message));
+  }
+  
+  appendChatMessage(message) {
+    document.querySelectorAll('.chat-messages').forEach(container => {
+      const item = document.createElement('div');
+      item.className = 'chat-message';
+      if (message.channel === 'ghost') item.classList.add('ghost');
+      
+      const author = document.createElement('span');
+      author.className = 'chat-author';
+      author.style.color = message.color;
+      author.textContent = message.name;
+      
+      const text = document.createElement('span');
+      text.textContent = message.text;
+      
+      item.appendChild(author);
+      item.appendChild(text);
+      container.appendChild(item);
+      container.scrollTop = container.scrollHeight;
+    });
+  }
+  
+  updateTaskList() {
+    const list = document.getElementById('task-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    // Comms sabotage hides the task list
+    if (this.state.sabotage && this.state.sabotage.type === 'comms') {
+      const item = document.createElement('div');
+      item.className = 'task-list-item disabled';
+      item.textContent = 'Comms sabotaged';
+      list.appendChild(item);
+      return;
+    }
+    
+    this.state.tasks
+      .filter(task => task && task.assignedTo === this.playerId)
+      .forEach(task => {
+        const item = document.createElement('div');
+        item.className = 'task-list-item';
+        if (task.completed) {
+          item.classList.add('completed');
+          item.textContent = task.name;
+        } else {
+          // Show where to go next, and how far along multi-stage tasks are
+          const stages = task.stages && task.stages.length > 1 ? ` (${task.stage}/${task.stages.length})` : '';
+          item.textContent = task.location ? `${task.name}${stages} - ${task.location}` : `${task.name}${stages}`;
+        }
+        list.appendChild(item);
+      });
+  }
+  
+  updateSabotageHud() {
+    const alert = document.getElementById('sabotage-alert');
+    if (!alert) return;
+    
+    const sabotage = this.state.sabotage;
+    if (!sabotage) {
+      alert.classList.remove('active', 'critical');
+      return;
+    }
+    
+    alert.classList.add('active');
+    alert.classList.toggle('critical', !!sabotage.critical);
+    document.getElementById('sabotage-alert-text').textContent = this.sabotageLabels[sabotage.type];
+    
+    const countdown = document.getElementById('sabotage-alert-countdown');
+    if (sabotage.endsAt) {
+      const remaining = Math.max(0, Math.ceil((sabotage.endsAt - (Date.now() + this.serverTimeOffset)) / 1000));
+      countdown.textContent = `${remaining}s`;
+    } else {
+      countdown.textContent = '';
+    }
+  }
+  
+  updateSabotageButton() {
+    const sabotageBtn = document.getElementById('sabotage-btn');
+    if (!sabotageBtn) return;
+    
+    const player = this.state.localPlayer;
+    sabotageBtn.classList.toggle('visible', !!player && this.hasAbility('canSabotage'));
+  }
+  
+  hasAbility(ability) {
+    return !!(this.state.roleInfo && this.state.roleInfo[ability]);
+  }
+  
+  /**
+   * The role ability the local player can use right now, if any. Imposters
+   * kill with the action button; roles that can misfire (the sheriff) get a
+   * separate one so doing tasks next to someone never fires a shot.
+   */
+  getRoleAbility(player) {
+    if (!player || this.state.phase !== 'tasks' || player.inVent) return null;
+    
+    if (player.isAlive && this.hasAbility('canKill') && this.hasAbility('misfire')) return 'shoot';
+    if (player.isAlive && this.hasAbility('vitals')) return 'vitals';
+    if (!player.isAlive && this.hasAbility('shield')) return 'shield';
+    return null;
+  }
+  
+  updateAbilityButton(player) {
+    const abilityBtn = document.getElementById('ability-btn');
+    if (!abilityBtn) return;
+    
+    const ability = this.getRoleAbility(player);
+    const icons = { shoot: '🔫', vitals: '🩺', shield: '🛡️' };
+    const titles = { shoot: 'Shoot', vitals: 'Vitals', shield: 'Shield' };
+    
+    abilityBtn.classList.toggle('visible', !!ability);
+    if (ability && abilityBtn.textContent !== icons[ability]) {
+      abilityBtn.textContent = icons[ability];
+      abilityBtn.title = titles[ability];
+    }
+  }
+  
+  useAbility() {
+    const player = this.state.localPlayer;
+    const ability = this.getRoleAbility(player);
+    
+    if (ability === 'shoot') {
+      const target = this.findClosestKillTarget(player);
+      if (!target) {
+        this.showToast('Nobody in range', 'error');
+        return;
+      }
+      this.socket.emit('killPlayer', target.id, (response) => {
+        if (!response.success) {
+          this.showToast(response.message, 'error');
+        } else if (response.misfire) {
+          this.showToast('Misfire! They were not an imposter', 'error');
+        } else {
+          this.showToast('Imposter eliminated!', 'success');
+        }
+      });
+    } else if (ability === 'vitals') {
+      this.socket.emit('checkVitals', (response) => {
+        if (response.success) {
+          this.showVitals(response.vitals);
+        } else {
+          this.showToast(response.message, 'error');
+        }
+      });
+    } else if (ability === 'shield') {
+      const target = this.findClosestShieldTarget(player);
+      if (!target) {
+        this.showToast('Nobody in range', 'error');
+        return;
+      }
+      this.socket.emit('shieldPlayer', target.id, (response) => {
+        if (response.success) {
+          this.showToast(`${target.name} is shielded for ${response.duration}s`, 'success');
+        } else {
+          this.showToast(response.message, 'error');
+        }
+      });
+    }
+  }
+  
+  findClosestShieldTarget(player) {
+    let closestTarget = null;
+    let closestDist = Infinity;
+    
+    for (const otherPlayer of this.state.players) {
+      if (otherPlayer.id === player.id || !otherPlayer.isAlive) continue;
+      
+      const dx = player.x - otherPlayer.x;
+      const dy = player.y - otherPlayer.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      
+      if (distance < 150 && distance < closestDist) {
+        closestTarget = otherPlayer;
+        closestDist = distance;
+      }
+    }
+    return closestTarget;
+  }
+  
+  showVitals(vitals) {
+    const list = document.getElementById('vitals-list');
+    if (!list) {
+      console.warn('[Game] vitals-list not found');
+      return;
+    }
+    
+    list.innerHTML = '';
+    vitals.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = `vitals-item${entry.isAlive ? '' : ' dead'}`;
+      
+      const swatch = document.createElement('span');
+      swatch.className = 'vitals-color';
+      swatch.style.backgroundColor = entry.color;
+      
+      const name = document.createElement('span');
+      name.className = 'vitals-name';
+      name.textContent = entry.name;
+      
+      const status = document.createElement('span');
+      status.className = 'vitals-status';
+      status.textContent = entry.isAlive ? 'OK' : 'DEAD';
+      
+      item.append(swatch, name, status);
+      list.appendChild(item);
+    });
+    
+    this.showModal('vitals-modal');
+  }
+  
   showScreen(screenName) {
     console.log(`[Game] Attempting to show screen: ${screenName}`);
     
@@ -1437,9 +2367,19 @@ class Game {
   }
   
   saveSettings() {
-    // Settings are saved in the modal state
-    this.hideModal('settings-modal');
-    this.showToast('Settings saved!', 'success');
+    if (!this.isHost) {
+      this.hideModal('settings-modal');
+      return;
+    }
+    
+    this.socket.emit('updateSettings', this.readSettingsForm(), (response) => {
+      if (response.success) {
+        this.hideModal('settings-modal');
+        this.showToast('Settings saved!', 'success');
+      } else {
+        this.showToast(response.message, 'error');
+      }
+    });
   }
   
   // Game loop
@@ -1451,36 +2391,48 @@ class Game {
       return;
     }
     
-    this.update();
+    // Scale movement by frame time so speed matches the server limit on any refresh rate
+    const now = performance.now();
+    const frameTime = Math.min(now - (this.lastFrameTime || now), 50);
+    this.lastFrameTime = now;
+    
+    this.update(frameTime);
+    this.updateProximityVoice();
     this.render();
     requestAnimationFrame(() => this.gameLoop());
   }
   
-  update() {
+  update(frameTime = 1000 / 60) {
     if (this.state.phase !== 'tasks') return;
     
+    this.updateSabotageHud();
+    this.interpolatePlayers();
+    
     const player = this.state.localPlayer;
-    if (!player || !player.isAlive) return;
+    if (!player) return;
     
-    // Apply movement
-    if (this.moveDirection.x !== 0 || this.moveDirection.y !== 0) {
+    // Apply movement - vents only allow travel between connected vents
+    if (!player.inVent && (this.moveDirection.x !== 0 || this.moveDirection.y !== 0)) {
       const map = this.maps[this.state.map];
       
-      let newX = player.x + this.moveDirection.x * this.moveSpeed;
-      let newY = player.y + this.moveDirection.y * this.moveSpeed;
+      const step = this.moveSpeed * frameTime / (1000 / 60);
+      let newX = player.x + this.moveDirection.x * step;
+      let newY = player.y + this.moveDirection.y * step;
       
       // Boundary check
       newX = Math.max(20, Math.min(map.width - 20, newX));
       newY = Math.max(20, Math.min(map.height - 20, newY));
       
-      // Simple wall collision
-      const wall = this.checkWallCollision(newX, newY, 20);
+      // Simple wall collision - ghosts drift through walls
+      const wall = player.isAlive && this.checkWallCollision(newX, newY, 20);
       if (!wall) {
+        // Predict the move locally and send it as a numbered input
+        const input = { seq: ++this.inputSeq, dx: newX - player.x, dy: newY - player.y };
         player.x = newX;
         player.y = newY;
+        this.pendingInputs.push(input);
         
-        // Send movement to server
-        this.socket.emit('playerMove', { x: player.x, y: player.y });
+        this.socket.emit('playerMove', input);
       }
     }
     
@@ -1488,10 +2440,211 @@ class Game {
     this.updateActionButtonState();
   }
   
+  setTickRate(tickRate) {
+    if (!tickRate) return;
+    this.tickInterval = 1000 / tickRate;
+    this.interpolationDelay = this.tickInterval * 2;
+  }
+  
+  applyGameplay(gameplay) {
+    if (!gameplay) return;
+    this.moveSpeed = this.baseMoveSpeed * gameplay.playerSpeed;
+    this.killRange = gameplay.killRange;
+    this.visionScale = gameplay.vision;
+  }
+  
+  syncServerClock(serverTime) {
+    if (!serverTime) return;
+    const offset = serverTime - Date.now();
+    
+    // Smooth out network jitter so interpolated motion does not stutter
+    if (this.clockSynced) {
+      this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.1;
+    } else {
+      this.serverTimeOffset = offset;
+      this.clockSynced = true;
+    }
+  }
+  
+  addPositionSample(player, time, x, y) {
+    if (player.visible === false || !player.samples || player.samples.length === 0) {
+      // Just came into view - appear in place instead of sliding from a stale position
+      player.visible = true;
+      player.samples = [{ time, x, y }];
+      player.x = x;
+      player.y = y;
+      return;
+    }
+    
+    // The server skips players that stand still, so after a pause hold the old
+    // position until one tick before the new sample instead of crawling across the gap
+    const last = player.samples[player.samples.length - 1];
+    if (time - last.time > this.tickInterval * 2) {
+      player.samples.push({ time: time - this.tickInterval, x: last.x, y: last.y });
+    }
+    
+    player.samples.push({ time, x, y });
+    
+    // Keep about a second of history
+    while (player.samples.length > 2 && player.samples[1].time < time - 1000) {
+      player.samples.shift();
+    }
+  }
+  
+  // Teleports (respawns, vents) skip interpolation and prediction
+  snapPlayer(player, x, y) {
+    player.x = x;
+    player.y = y;
+    player.samples = [];
+    
+    if (player.id === this.playerId) {
+      this.pendingInputs = [];
+    }
+  }
+  
+  /**
+   * Server reconciliation: accept the authoritative position for input `seq`
+   * and replay the inputs sent after it on top
+   */
+  reconcile(seq, x, y) {
+    const player = this.state.localPlayer;
+    if (!player) return;
+    
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > seq);
+    
+    player.x = x;
+    player.y = y;
+    
+    this.pendingInputs.forEach(input => {
+      const newX = player.x + input.dx;
+      const newY = player.y + input.dy;
+      if (!player.isAlive || !this.checkWallCollision(newX, newY, 20)) {
+        player.x = newX;
+        player.y = newY;
+      }
+    });
+  }
+  
+  interpolatePlayers() {
+    const renderTime = Date.now() + this.serverTimeOffset - this.interpolationDelay;
+    
+    this.state.players.forEach(player => {
+      if (player.id === this.playerId || !player.samples || player.samples.length === 0) return;
+      
+      const samples = player.samples;
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      
+      if (renderTime <= first.time) {
+        player.x = first.x;
+        player.y = first.y;
+        return;
+      }
+      
+      if (renderTime >= last.time) {
+        player.x = last.x;
+        player.y = last.y;
+        return;
+      }
+      
+      for (let i = 0; i < samples.length - 1; i++) {
+        const from = samples[i];
+        const to = samples[i + 1];
+        if (renderTime >= from.time && renderTime < to.time) {
+          const t = (renderTime - from.time) / (to.time - from.time);
+          player.x = from.x + (to.x - from.x) * t;
+          player.y = from.y + (to.y - from.y) * t;
+          return;
+        }
+      }
+    });
+  }
+  
+  /**
+   * Positional voice: during tasks peers fade with distance, pan by side and
+   * are muffled through walls; everywhere else everyone is heard equally
+   */
+  updateProximityVoice() {
+    const voiceChat = this.voiceChat;
+    if (!voiceChat || !voiceChat.isInitialized) return;
+    
+    const player = this.state.localPlayer;
+    if (this.state.phase !== 'tasks' || !player) {
+      if (this.proximityVoiceActive) {
+        voiceChat.resetProximity();
+        this.proximityVoiceActive = false;
+      }
+      return;
+    }
+    this.proximityVoiceActive = true;
+    
+    this.state.players.forEach(other => {
+      if (other.id === this.playerId) return;
+      
+      // Ghost chat is not positional
+      if (other.channel === 'ghost') {
+        voiceChat.setPeerVolume(other.id, 1);
+        return;
+      }
+      
+      // Never seen this round - we have no idea where they are
+      if (other.x == null || other.y == null) {
+        voiceChat.setPeerVolume(other.id, 0);
+        return;
+      }
+      
+      // Players out of sight are heard from where we last saw them, through the wall
+      const dx = other.x - player.x;
+      const dy = other.y - player.y;
+      const occluded = other.visible === false || !this.hasLineOfSight(player.x, player.y, other.x, other.y);
+      
+      voiceChat.setProximityVolume(other.id, Math.sqrt(dx * dx + dy * dy), this.voiceRange, {
+        pan: dx / this.voiceRange,
+        occluded
+      });
+    });
+  }
+  
+  hasLineOfSight(x1, y1, x2, y2) {
+    const map = this.maps[this.state.map];
+    
+    return ![...map.walls, ...this.getClosedDoors()].some(wall => this.segmentIntersectsRect(x1, y1, x2, y2, wall));
+  }
+  
+  segmentIntersectsRect(x1, y1, x2, y2, rect) {
+    // Liang-Barsky clipping of the segment against the rectangle
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const edges = [
+      [-dx, x1 - rect.x],
+      [dx, rect.x + rect.width - x1],
+      [-dy, y1 - rect.y],
+      [dy, rect.y + rect.height - y1]
+    ];
+    
+    let tMin = 0;
+    let tMax = 1;
+    for (const [p, q] of edges) {
+      if (p === 0) {
+        if (q < 0) return false;
+        continue;
+      }
+      const t = q / p;
+      if (p < 0) {
+        if (t > tMax) return false;
+        tMin = Math.max(tMin, t);
+      } else {
+        if (t < tMin) return false;
+        tMax = Math.min(tMax, t);
+      }
+    }
+    return true;
+  }
+  
   checkWallCollision(x, y, radius) {
     const map = this.maps[this.state.map];
     
-    for (const wall of map.walls) {
+    for (const wall of [...map.walls, ...this.getClosedDoors()]) {
       const closestX = Math.max(wall.x, Math.min(x, wall.x + wall.width));
       const closestY = Math.max(wall.y, Math.min(y, wall.y + wall.height));
       
@@ -1514,15 +2667,25 @@ class Game {
     // Null check for action button
     if (!actionBtn) return;
     
-    if (!player || !player.isAlive) {
+    this.updateVentButtons(player);
+    this.updateAbilityButton(player);
+    
+    if (!player || player.inVent) {
       actionBtn.classList.remove('active');
       return;
     }
     
-    let canInteract = false;
+    if (!player.isAlive) {
+      actionBtn.classList.toggle('active', !!this.findNearbyTask(player));
+      return;
+    }
+    
+    // Sabotage fix stations
+    let canInteract = !!this.findNearbySabotageStation(player);
     
     // Check for nearby tasks
     for (const task of this.state.tasks) {
+      if (canInteract) break;
       if (task && task.assignedTo === this.playerId && !task.completed) {
         const dx = player.x - task.x;
         const dy = player.y - task.y;
@@ -1535,14 +2698,12 @@ class Game {
     
     // Check for dead bodies
     if (!canInteract) {
-      for (const otherPlayer of this.state.players) {
-        if (otherPlayer.id !== this.playerId && !otherPlayer.isAlive) {
-          const dx = player.x - otherPlayer.x;
-          const dy = player.y - otherPlayer.y;
-          if (Math.sqrt(dx * dx + dy * dy) < 60) {
-            canInteract = true;
-            break;
-          }
+      for (const body of this.state.bodies) {
+        const dx = player.x - body.x;
+        const dy = player.y - body.y;
+        if (Math.sqrt(dx * dx + dy * dy) < 60) {
+          canInteract = true;
+          break;
         }
       }
     }
@@ -1599,15 +2760,43 @@ class Game {
     // Draw enhanced walls
     this.drawEnhancedWalls();
     
+    // Draw doors closed by sabotage
+    this.getClosedDoors().forEach(door => {
+      this.drawClosedDoor(door);
+    });
+    
     // Draw vents
     map.vents.forEach(vent => {
       this.drawEnhancedVent(vent);
     });
     
-    // Draw tasks (with null check for each task)
-    this.state.tasks.forEach(task => {
-      if (task && !task.completed) {
-        this.drawTaskWithDetails(task);
+    // Show where the local imposter can travel from inside a vent
+    if (player && player.inVent) {
+      this.drawVentConnections(map, player.inVent);
+    }
+    
+    // Draw tasks (with null check for each task) - hidden while comms are down
+    const commsDown = this.state.sabotage && this.state.sabotage.type === 'comms';
+    if (!commsDown) {
+      this.state.tasks.forEach(task => {
+        if (task && !task.completed) {
+          this.drawTaskWithDetails(task);
+        }
+      });
+    }
+    
+    // Draw sabotage fix stations
+    if (this.state.sabotage) {
+      this.state.sabotage.stations.forEach(station => {
+        this.drawSabotageStation(station);
+      });
+    }
+    
+    // Draw dead bodies
+    this.state.bodies.forEach(body => {
+      const owner = this.state.players.find(p => p.id === body.playerId);
+      if (owner) {
+        this.drawDeadBody({ ...owner, x: body.x, y: body.y });
       }
     });
     
@@ -1615,6 +2804,13 @@ class Game {
     const sortedPlayers = [...this.state.players].sort((a, b) => a.y - b.y);
     
     sortedPlayers.forEach(p => {
+      if (!p.isAlive) {
+        // The living never see ghosts; ghosts see each other faintly
+        if (player && !player.isAlive) {
+          this.drawGhost(p);
+        }
+        return;
+      }
       this.drawPlayer(p);
     });
     
@@ -1625,10 +2821,74 @@ class Game {
     
     ctx.restore();
     
+    // Sabotage effects are drawn in screen space
+    this.drawSabotageEffects(player);
+    
     // Draw minimap in corner
     this.drawMinimap();
   }
   
+  drawSabotageEffects(player) {
+    const sabotage = this.state.sabotage;
+    if (!sabotage || !player) return;
+    
+    const ctx = this.ctx;
+    const canvas = this.canvas;
+    
+    // Lights out: crewmates only see a small circle around themselves
+    if (sabotage.type === 'lights' && !this.hasAbility('lightsImmune') && player.isAlive) {
+      const screenX = player.x - this.camera.x;
+      const screenY = player.y - this.camera.y;
+      const darkness = ctx.createRadialGradient(
+        screenX, screenY, 60 * this.visionScale,
+        screenX, screenY, 140 * this.visionScale
+      );
+      darkness.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      darkness.addColorStop(1, 'rgba(0, 0, 0, 0.95)');
+      ctx.fillStyle = darkness;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    
+    // Critical sabotage: pulsing red alarm
+    if (sabotage.critical) {
+      const pulse = (Math.sin(Date.now() / 200) + 1) / 2;
+      ctx.fillStyle = `rgba(239, 68, 68, ${0.08 + pulse * 0.12})`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+  
+  drawSabotageStation(station) {
+    const ctx = this.ctx;
+    const pulse = (Math.sin(Date.now() / 150) + 1) / 2;
+    
+    ctx.fillStyle = station.fixed ? 'rgba(16, 185, 129, 0.4)' : `rgba(239, 68, 68, ${0.3 + pulse * 0.4})`;
+    ctx.beginPath();
+    ctx.arc(station.x, station.y, 28, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = station.fixed ? '#10B981' : '#EF4444';
+    ctx.beginPath();
+    ctx.arc(station.x, station.y, 16, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px Rubik';
+    ctx.textAlign = 'center';
+    ctx.fillText(station.fixed ? '✔' : '⚠', station.x, station.y + 6);
+  }
+  
+  drawClosedDoor(door) {
+    const ctx = this.ctx;
+    
+    ctx.fillStyle = '#7f1d1d';
+    ctx.fillRect(door.x, door.y, door.width, door.height);
+    
+    // Hazard stripes
+    ctx.strokeStyle = '#fbbf24';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(door.x, door.y, door.width, door.height);
+  }
+  
   drawMinimap() {
     const ctx = this.ctx;
     const canvas = this.canvas;
@@ -1652,12 +2912,15 @@ class Game {
     ctx.lineWidth = 2;
     ctx.stroke();
     
-    // Draw players on minimap
+    // Draw players on minimap - ghosts only show up for other ghosts
+    const viewerIsGhost = !!this.state.localPlayer && !this.state.localPlayer.isAlive;
     this.state.players.forEach(p => {
+      if ((!p.isAlive && !viewerIsGhost) || p.visible === false) return;
+      
       const minimapPlayerX = minimapX + p.x * scale;
       const minimapPlayerY = minimapY + p.y * scale;
       
-      ctx.fillStyle = p.isAlive ? p.color : '#666666';
+      ctx.fillStyle = p.color;
       ctx.beginPath();
       ctx.arc(minimapPlayerX, minimapPlayerY, 4, 0, Math.PI * 2);
       ctx.fill();
@@ -1825,13 +3088,17 @@ class Game {
     ctx.font = '14px Rubik';
     ctx.textAlign = 'center';
     
+    const game = task.game || task.id;
     let icon = '📋';
-    if (task.id.includes('wire')) icon = '⚡';
-    else if (task.id.includes('fuel')) icon = '⛽';
-    else if (task.id.includes('filter')) icon = '🧹';
-    else if (task.id.includes('reactor')) icon = '⚛️';
-    else if (task.id.includes('power')) icon = '🔌';
-    else if (task.id.includes('distributor')) icon = '📊';
+    if (game.includes('wire')) icon = '⚡';
+    else if (game.includes('fuel')) icon = '⛽';
+    else if (game.includes('filter')) icon = '🧹';
+    else if (game.includes('reactor')) icon = '⚛️';
+    else if (game.includes('power')) icon = '🔌';
+    else if (game.includes('distributor')) icon = '📊';
+    else if (game.includes('data')) icon = '💾';
+    else if (game.includes('scan')) icon = '🩻';
+    else if (game.includes('trash')) icon = '🗑️';
     
     ctx.fillText(icon, task.x, task.y + 5);
     
@@ -1886,20 +3153,57 @@ class Game {
     ctx.stroke();
   }
   
+  drawVentConnections(map, ventId) {
+    const ctx = this.ctx;
+    const current = map.vents.find(v => v.id === ventId);
+    if (!current) return;
+    
+    ctx.strokeStyle = 'rgba(245, 158, 11, 0.6)';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([10, 8]);
+    current.connections.forEach(id => {
+      const target = map.vents.find(v => v.id === id);
+      if (!target) return;
+      ctx.beginPath();
+      ctx.moveTo(current.x, current.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    
+    // Highlight the occupied vent
+    ctx.strokeStyle = '#F59E0B';
+    ctx.beginPath();
+    ctx.ellipse(current.x, current.y, 28, 16, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  
   drawPlayer(player) {
     const ctx = this.ctx;
     const isLocalPlayer = player.id === this.playerId;
     
+    if (!player.isAlive) {
+      // Dead players are drawn as bodies from state.bodies
+      return;
+    }
+    
+    if (player.inVent || player.visible === false) {
+      // Hidden inside a vent or outside our vision
+      return;
+    }
+    
     // Draw shadow
     ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
     ctx.beginPath();
     ctx.ellipse(player.x, player.y + 22, 20, 10, 0, 0, Math.PI * 2);
     ctx.fill();
     
-    if (!player.isAlive) {
-      // Draw dead body
-      this.drawDeadBody(player);
-      return;
+    // Scan platform glows under the player
+    if (player.visualTask === 'scan') {
+      ctx.fillStyle = 'rgba(16, 185, 129, 0.35)';
+      ctx.beginPath();
+      ctx.ellipse(player.x, player.y + 20, 30, 14, 0, 0, Math.PI * 2);
+      ctx.fill();
     }
     
     // Draw backpack
@@ -1962,6 +3266,10 @@ class Game {
     ctx.ellipse(player.x + 8, player.y + 18, 6, 4, 0, 0, Math.PI * 2);
     ctx.fill();
     
+    if (player.visualTask) {
+      this.drawVisualTask(player);
+    }
+    
     // Draw name tag background - use polyfill for roundRect
     const nameWidth = ctx.measureText(player.name).width + 20;
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
@@ -1975,14 +3283,14 @@ class Game {
     ctx.fillText(player.name, player.x, player.y - 35);
     
     // Draw role indicator for local imposter
-    if (player.role === 'imposter' && isLocalPlayer) {
+    if (isLocalPlayer && this.hasAbility('canKill') && !this.hasAbility('misfire')) {
       ctx.fillStyle = '#EF4444';
       ctx.font = '12px Rubik';
       ctx.fillText('🔪', player.x, player.y - 55);
     }
     
     // Draw task progress dots
-    if (player.role === 'crewmate' && player.completedTasks > 0) {
+    if (isLocalPlayer && this.hasAbility('realTasks') && player.completedTasks > 0) {
       const dotSpacing = 8;
       const totalWidth = player.completedTasks * dotSpacing;
       const startX = player.x - totalWidth / 2 + dotSpacing / 2;
@@ -2014,6 +3322,45 @@ class Game {
     }
   }
   
+  /**
+   * Animations for visual tasks, drawn over the player so anyone watching
+   * can vouch for them
+   */
+  drawVisualTask(player) {
+    const ctx = this.ctx;
+    const time = performance.now() / 1000;
+    
+    if (player.visualTask === 'scan') {
+      // A scan line sweeping up and down the body
+      const offset = Math.sin(time * 4) * 22;
+      ctx.strokeStyle = 'rgba(16, 185, 129, 0.9)';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(player.x - 24, player.y + offset);
+      ctx.lineTo(player.x + 24, player.y + offset);
+      ctx.stroke();
+      
+      ctx.fillStyle = 'rgba(16, 185, 129, 0.15)';
+      ctx.fillRect(player.x - 24, player.y - 22, 48, 44);
+    } else if (player.visualTask === 'trash') {
+      // Rubbish tumbling out of the chute beside the player
+      ctx.fillStyle = '#92400E';
+      for (let i = 0; i < 4; i++) {
+        const fall = ((time * 60 + i * 15) % 60);
+        ctx.fillRect(player.x + 28 + (i % 2) * 6, player.y - 30 + fall, 6, 6);
+      }
+    }
+  }
+  
+  drawGhost(player) {
+    const ctx = this.ctx;
+    
+    ctx.save();
+    ctx.globalAlpha = 0.4;
+    this.drawPlayer({ ...player, isAlive: true });
+    ctx.restore();
+  }
+  
   drawDeadBody(player) {
     const ctx = this.ctx;
     
@@ -2121,11 +3468,13 @@ class Game {
       this._resizeHandler = null;
     }
     
-    // Clear meeting timer
+    // Clear meeting timers
     if (this.meetingTimer) {
       clearInterval(this.meetingTimer);
       this.meetingTimer = null;
     }
+    clearTimeout(this.meetingResultsTimer);
+    this.meetingResultsTimer = null;
     
     // Disconnect voice chat
     if (this.voiceChat) {
@@ -2138,6 +3487,9 @@ class Game {
     this.state.players = [];
     this.state.tasks = [];
     this.state.imposters = [];
+    this.state.roleInfo = null;
+    this.state.bodies = [];
+    this.state.sabotage = null;
     this.state.localPlayer = null;
     this.moveDirection = { x: 0, y: 0 };
     
@@ -2166,11 +3518,13 @@ class Game {
       this._resizeHandler = null;
     }
     
-    // Clear meeting timer
+    // Clear meeting timers
     if (this.meetingTimer) {
       clearInterval(this.meetingTimer);
       this.meetingTimer = null;
     }
+    clearTimeout(this.meetingResultsTimer);
+    this.meetingResultsTimer = null;
     
     // Disconnect voice chat
     if (this.voiceChat && typeof this.voiceChat.disconnect === 'function') {
@@ -2207,11 +3561,11 @@ class Game {
       if (this.roomCode && this.playerId) {
         this.socket.emit('rejoinGame', {
           roomCode: this.roomCode,
-          playerId: this.playerId
+          playerId: this.playerId,
+          sessionToken: this.sessionToken
         }, (response) => {
           if (response.success) {
-            this.state.players = response.players;
-            this.state.localPlayer = response.localPlayer;
+            this.applyGameSnapshot(response);
             this.showToast('Rejoined game successfully', 'success');
           } else {
             this.showToast('Failed to rejoin game', 'error');
@@ -2227,6 +3581,60 @@ class Game {
     });
   }
   
+  /**
+   * Rebuild local state from a server snapshot after rejoining
+   */
+  applyGameSnapshot(snapshot) {
+    this.state.players = snapshot.players;
+    // Keep localPlayer pointing at the entry in the players list so movement is rendered
+    this.state.localPlayer = this.state.players.find(p => p.id === this.playerId) || null;
+    this.state.map = snapshot.map;
+    this.state.tasks = snapshot.tasks;
+    this.state.imposters = snapshot.imposters;
+    this.state.roleInfo = snapshot.roleInfo;
+    this.state.taskBar = snapshot.taskBar || 'always';
+    this.state.bodies = snapshot.bodies;
+    this.state.sabotage = snapshot.sabotage;
+    this.state.chatMessages = snapshot.chatHistory || [];
+    this.renderChat();
+    this.state.phase = snapshot.phase;
+    this.state.voteTarget = null;
+    this.clockSynced = false;
+    this.syncServerClock(snapshot.serverTime);
+    this.setTickRate(snapshot.tickRate);
+    this.applyGameplay(snapshot.gameplay);
+    this.voiceRoutes = snapshot.voiceRoutes;
+    this.inputSeq = snapshot.lastProcessedInput || 0;
+    this.pendingInputs = [];
+    
+    this.updateTaskBarMode();
+    this.updateTaskProgress(snapshot.taskProgress, snapshot.totalTasks);
+    this.updateTaskList();
+    this.updateSabotageHud();
+    this.updateSabotageButton();
+    
+    if (snapshot.phase === 'meeting' && snapshot.meeting) {
+      this.state.voted = snapshot.meeting.voted;
+      this.state.meetingPhase = snapshot.meeting.phase;
+      this.showMeetingScreen({
+        type: snapshot.meeting.type,
+        phase: snapshot.meeting.phase,
+        phaseEndsAt: snapshot.meeting.phaseEndsAt,
+        serverTime: snapshot.serverTime
+      });
+      
+      if (this.state.voted) {
+        document.getElementById('confirm-vote-btn').textContent = 'Vote Submitted';
+      }
+    } else if (snapshot.phase === 'tasks') {
+      this.state.voted = false;
+      this.showScreen('game');
+    } else if (snapshot.phase === 'lobby') {
+      this.updatePlayerList();
+      this.showScreen('lobby');
+    }
+  }
+  
   /**
    * Persist selected player color
    */
@@ -0,0 +1,680 @@
+/**
+ * Task Mini-Games
+ * One mini-game per task template, all driven by pointer events so mouse,
+ * pen and touch behave the same
+ */
+
+/**
+ * Interface every mini-game implements. mount() builds the UI inside the
+ * container, destroy() tears it down, and progress()/complete() report back
+ * to the game through the onProgress/onComplete callbacks.
+ */
+class TaskMiniGame {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.task = options.task || null;
+    this.duration = options.duration || 3000;
+    this.onProgress = options.onProgress || (() => {});
+    this.onComplete = options.onComplete || (() => {});
+
+    this.finished = false;
+    this.listeners = [];
+    this.timers = new Set();
+  }
+
+  mount() {
+    throw new Error('mount() must be implemented by each task mini-game');
+  }
+
+  destroy() {
+    this.listeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this.listeners = [];
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Add an event listener that destroy() removes again
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
+  }
+
+  /**
+   * setTimeout that destroy() cancels
+   */
+  delay(callback, ms) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, ms);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  cancelDelay(timer) {
+    clearTimeout(timer);
+    this.timers.delete(timer);
+  }
+
+  /**
+   * Briefly add a class, e.g. to flag a wrong move
+   */
+  flash(element, className, ms = 300) {
+    element.classList.add(className);
+    this.delay(() => element.classList.remove(className), ms);
+  }
+
+  progress(fraction) {
+    if (this.finished) return;
+    this.onProgress(Math.max(0, Math.min(1, fraction)));
+  }
+
+  complete() {
+    if (this.finished) return;
+    this.onProgress(1);
+    this.finished = true;
+    this.onComplete();
+  }
+
+  static shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+/** Connect each wire on the left to the wire of the same color on the right */
+class FixWiresTask extends TaskMiniGame {
+  mount() {
+    const colors = ['#FF0000', '#00FF00', '#0000FF', '#FFFF00'];
+    const leftWires = TaskMiniGame.shuffle(colors);
+    const rightWires = TaskMiniGame.shuffle(colors);
+
+    this.container.innerHTML = `
+      <div class="task-wire-container">
+        <div class="wire-pair">
+          <div class="wire-col">
+            ${leftWires.map(color => `
+              <div class="wire" data-color="${color}" data-side="left" style="background-color: ${color}"></div>
+            `).join('')}
+          </div>
+          <div class="wire-col">
+            ${rightWires.map(color => `
+              <div class="wire" data-color="${color}" data-side="right" style="background-color: ${color}"></div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+
+    let selectedWire = null;
+    let connected = 0;
+
+    this.container.querySelectorAll('.wire').forEach(wire => {
+      this.listen(wire, 'pointerdown', (e) => {
+        e.preventDefault();
+        if (wire.classList.contains('connected')) return;
+
+        if (!selectedWire || selectedWire.dataset.side === wire.dataset.side) {
+          if (selectedWire) selectedWire.classList.remove('selected');
+          selectedWire = wire;
+          wire.classList.add('selected');
+          return;
+        }
+
+        selectedWire.classList.remove('selected');
+        if (selectedWire.dataset.color === wire.dataset.color) {
+          selectedWire.classList.add('connected');
+          wire.classList.add('connected');
+          connected++;
+          this.progress(connected / colors.length);
+          if (connected >= colors.length) {
+            this.complete();
+          }
+        } else {
+          this.flash(selectedWire, 'wrong');
+          this.flash(wire, 'wrong');
+        }
+        selectedWire = null;
+      });
+    });
+  }
+}
+
+/** Hold the button down until the tank is full; letting go pauses the pump */
+class FuelEngineTask extends TaskMiniGame {
+  mount() {
+    this.container.innerHTML = `
+      <div class="task-fuel">
+        <div class="fuel-tank"><div class="fuel-level"></div></div>
+        <button class="btn btn-primary task-hold-btn" type="button">Hold to Fuel</button>
+      </div>
+    `;
+
+    const level = this.container.querySelector('.fuel-level');
+    const button = this.container.querySelector('.task-hold-btn');
+    const step = 50;
+    let fill = 0;
+    let pumpTimer = null;
+
+    const pump = () => {
+      fill = Math.min(1, fill + step / this.duration);
+      level.style.height = `${fill * 100}%`;
+      this.progress(fill);
+
+      if (fill >= 1) {
+        pumpTimer = null;
+        this.complete();
+        return;
+      }
+      pumpTimer = this.delay(pump, step);
+    };
+
+    const stop = () => {
+      button.classList.remove('pressed');
+      if (pumpTimer) {
+        this.cancelDelay(pumpTimer);
+        pumpTimer = null;
+      }
+    };
+
+    this.listen(button, 'pointerdown', (e) => {
+      e.preventDefault();
+      if (pumpTimer || this.finished) return;
+      button.setPointerCapture(e.pointerId);
+      button.classList.add('pressed');
+      pump();
+    });
+    this.listen(button, 'pointerup', stop);
+    this.listen(button, 'pointercancel', stop);
+    this.listen(button, 'lostpointercapture', stop);
+  }
+}
+
+/** Drag every piece of debris into the airlock on the left */
+class CleanFilterTask extends TaskMiniGame {
+  mount() {
+    const debrisCount = 5;
+
+    this.container.innerHTML = `
+      <div class="task-filter">
+        <div class="filter-airlock">⬅</div>
+        ${Array.from({ length: debrisCount }, () => '<div class="filter-debris">🍂</div>').join('')}
+      </div>
+    `;
+
+    const area = this.container.querySelector('.task-filter');
+    const airlock = this.container.querySelector('.filter-airlock');
+    let cleared = 0;
+
+    this.container.querySelectorAll('.filter-debris').forEach(debris => {
+      // Scatter debris across the right-hand side of the filter
+      debris.style.left = `${35 + Math.random() * 55}%`;
+      debris.style.top = `${10 + Math.random() * 75}%`;
+
+      let dragging = false;
+
+      this.listen(debris, 'pointerdown', (e) => {
+        e.preventDefault();
+        dragging = true;
+        debris.setPointerCapture(e.pointerId);
+        debris.classList.add('dragging');
+      });
+
+      this.listen(debris, 'pointermove', (e) => {
+        if (!dragging) return;
+        const rect = area.getBoundingClientRect();
+        const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+        debris.style.left = `${x * 100}%`;
+        debris.style.top = `${y * 100}%`;
+      });
+
+      const drop = (e) => {
+        if (!dragging) return;
+        dragging = false;
+        debris.classList.remove('dragging');
+
+        const target = airlock.getBoundingClientRect();
+        const inAirlock = e.clientX >= target.left && e.clientX <= target.right &&
+                          e.clientY >= target.top && e.clientY <= target.bottom;
+        if (!inAirlock) return;
+
+        debris.remove();
+        cleared++;
+        this.progress(cleared / debrisCount);
+        if (cleared >= debrisCount) {
+          this.complete();
+        }
+      };
+      this.listen(debris, 'pointerup', drop);
+      this.listen(debris, 'pointercancel', drop);
+    });
+  }
+}
+
+/** Slide the output until it lines up with the target marker */
+class AlignOutputTask extends TaskMiniGame {
+  mount() {
+    const tolerance = 3;
+    const target = 15 + Math.floor(Math.random() * 70);
+    let start = Math.floor(Math.random() * 100);
+    // Never start already aligned
+    if (Math.abs(start - target) <= tolerance * 3) {
+      start = target > 50 ? target - 40 : target + 40;
+    }
+
+    this.container.innerHTML = `
+      <div class="task-align">
+        <div class="align-track">
+          <div class="align-target" style="left: ${target}%"></div>
+          <div class="align-output" style="left: ${start}%"></div>
+        </div>
+        <input class="align-slider" type="range" min="0" max="100" value="${start}">
+      </div>
+    `;
+
+    const slider = this.container.querySelector('.align-slider');
+    const output = this.container.querySelector('.align-output');
+
+    this.listen(slider, 'input', () => {
+      const value = Number(slider.value);
+      output.style.left = `${value}%`;
+      output.classList.toggle('aligned', Math.abs(value - target) <= tolerance);
+      this.progress(1 - Math.abs(value - target) / 100);
+    });
+
+    // Only counts once the player lets go on target
+    this.listen(slider, 'change', () => {
+      if (Math.abs(Number(slider.value) - target) <= tolerance) {
+        slider.disabled = true;
+        this.complete();
+      }
+    });
+  }
+}
+
+/** Flip the switch for the highlighted section to divert power to it */
+class DivertPowerTask extends TaskMiniGame {
+  mount() {
+    const sections = ['Nav', 'O2', 'Shields', 'Comms', 'Weapons', 'Engine', 'Security', 'Medbay'];
+    const targetIndex = Math.floor(Math.random() * sections.length);
+
+    this.container.innerHTML = `
+      <div class="task-divert">
+        ${sections.map((name, i) => `
+          <div class="divert-switch${i === targetIndex ? ' target' : ''}" data-index="${i}">
+            <div class="divert-lever"></div>
+            <span>${name}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    this.container.querySelectorAll('.divert-switch').forEach(powerSwitch => {
+      this.listen(powerSwitch, 'pointerdown', (e) => {
+        e.preventDefault();
+        if (Number(powerSwitch.dataset.index) !== targetIndex) {
+          this.flash(powerSwitch, 'wrong');
+          return;
+        }
+        powerSwitch.classList.add('on');
+        this.complete();
+      });
+    });
+  }
+}
+
+/** Press the numbers 1 to 10 in order; a wrong press starts over */
+class UnlockManifoldsTask extends TaskMiniGame {
+  mount() {
+    const count = 10;
+    const numbers = TaskMiniGame.shuffle(Array.from({ length: count }, (_, i) => i + 1));
+
+    this.container.innerHTML = `
+      <div class="task-manifolds">
+        ${numbers.map(n => `<button class="manifold-key" type="button" data-number="${n}">${n}</button>`).join('')}
+      </div>
+    `;
+
+    const keys = this.container.querySelectorAll('.manifold-key');
+    let next = 1;
+
+    keys.forEach(key => {
+      this.listen(key, 'pointerdown', (e) => {
+        e.preventDefault();
+        if (key.classList.contains('pressed')) return;
+
+        if (Number(key.dataset.number) !== next) {
+          next = 1;
+          keys.forEach(k => k.classList.remove('pressed'));
+          this.flash(key, 'wrong');
+          this.progress(0);
+          return;
+        }
+
+        key.classList.add('pressed');
+        this.progress(next / count);
+        if (next === count) {
+          this.complete();
+        }
+        next++;
+      });
+    });
+  }
+}
+
+/** Simon says: repeat a growing sequence of lit panels */
+class StartReactorTask extends TaskMiniGame {
+  mount() {
+    const rounds = 4;
+    const sequence = Array.from({ length: rounds }, () => Math.floor(Math.random() * 9));
+
+    this.container.innerHTML = `
+      <div class="task-reactor">
+        <p class="reactor-status">Watch the sequence</p>
+        <div class="reactor-grid">
+          ${Array.from({ length: 9 }, (_, i) => `<div class="reactor-panel" data-index="${i}"></div>`).join('')}
+        </div>
+      </div>
+    `;
+
+    const status = this.container.querySelector('.reactor-status');
+    const panels = this.container.querySelectorAll('.reactor-panel');
+    let round = 1;
+    let inputIndex = 0;
+    let acceptingInput = false;
+
+    const playSequence = () => {
+      acceptingInput = false;
+      inputIndex = 0;
+      status.textContent = `Watch the sequence (${round}/${rounds})`;
+
+      sequence.slice(0, round).forEach((panelIndex, i) => {
+        this.delay(() => this.flash(panels[panelIndex], 'lit', 400), 600 + i * 600);
+      });
+      this.delay(() => {
+        acceptingInput = true;
+        status.textContent = 'Repeat the sequence';
+      }, 600 + round * 600);
+    };
+
+    panels.forEach(panel => {
+      this.listen(panel, 'pointerdown', (e) => {
+        e.preventDefault();
+        if (!acceptingInput) return;
+
+        if (Number(panel.dataset.index) !== sequence[inputIndex]) {
+          this.flash(panel, 'wrong');
+          round = 1;
+          this.progress(0);
+          playSequence();
+          return;
+        }
+
+        this.flash(panel, 'lit', 200);
+        inputIndex++;
+        if (inputIndex < round) return;
+
+        this.progress(round / rounds);
+        if (round === rounds) {
+          acceptingInput = false;
+          this.complete();
+          return;
+        }
+        round++;
+        playSequence();
+      });
+    });
+
+    playSequence();
+  }
+}
+
+/** Stop each sweeping needle inside its target zone, one dial at a time */
+class CalibrateDistributorTask extends TaskMiniGame {
+  mount() {
+    const dialCount = 3;
+    const zoneWidth = 16;
+    const step = 30;
+
+    this.container.innerHTML = `
+      <div class="task-calibrate">
+        ${Array.from({ length: dialCount }, () => `
+          <div class="calibrate-dial">
+            <div class="calibrate-zone"></div>
+            <div class="calibrate-needle"></div>
+          </div>
+        `).join('')}
+        <button class="btn btn-primary calibrate-stop" type="button">Stop</button>
+      </div>
+    `;
+
+    const dials = Array.from(this.container.querySelectorAll('.calibrate-dial')).map((element, i) => {
+      const zoneStart = 10 + Math.random() * (80 - zoneWidth);
+      element.querySelector('.calibrate-zone').style.left = `${zoneStart}%`;
+      element.querySelector('.calibrate-zone').style.width = `${zoneWidth}%`;
+      return {
+        element,
+        needle: element.querySelector('.calibrate-needle'),
+        zoneStart,
+        // Later dials sweep faster
+        speed: 1.2 + i * 0.6,
+        position: 0,
+        direction: 1
+      };
+    });
+
+    const stopButton = this.container.querySelector('.calibrate-stop');
+    let current = 0;
+    dials[current].element.classList.add('active');
+
+    const sweep = () => {
+      const dial = dials[current];
+      dial.position += dial.speed * dial.direction;
+      if (dial.position >= 100 || dial.position <= 0) {
+        dial.position = Math.max(0, Math.min(100, dial.position));
+        dial.direction *= -1;
+      }
+      dial.needle.style.left = `${dial.position}%`;
+      this.delay(sweep, step);
+    };
+
+    this.listen(stopButton, 'pointerdown', (e) => {
+      e.preventDefault();
+      if (this.finished) return;
+
+      const dial = dials[current];
+      const inZone = dial.position >= dial.zoneStart && dial.position <= dial.zoneStart + zoneWidth;
+      if (!inZone) {
+        this.flash(dial.element, 'wrong');
+        return;
+      }
+
+      dial.element.classList.remove('active');
+      dial.element.classList.add('calibrated');
+      current++;
+      this.progress(current / dialCount);
+
+      if (current >= dialCount) {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.complete();
+        return;
+      }
+      dials[current].element.classList.add('active');
+    });
+
+    sweep();
+  }
+}
+
+/** Start the transfer and wait for the progress bar to fill */
+class TransferDataTask extends TaskMiniGame {
+  mount() {
+    const uploading = !!this.task && this.task.game === 'upload_data';
+    const label = uploading ? 'Upload' : 'Download';
+
+    this.container.innerHTML = `
+      <div class="task-transfer">
+        <div class="transfer-icons">${uploading ? '📁 ➜ 📡' : '📡 ➜ 📁'}</div>
+        <p class="transfer-status">Ready</p>
+        <button class="btn btn-primary transfer-btn" type="button">${label}</button>
+      </div>
+    `;
+
+    const status = this.container.querySelector('.transfer-status');
+    const button = this.container.querySelector('.transfer-btn');
+    const step = 100;
+    let transferred = 0;
+
+    const tick = () => {
+      transferred = Math.min(1, transferred + step / this.duration);
+      status.textContent = `${label}ing... ${Math.round(transferred * 100)}%`;
+      this.progress(transferred);
+
+      if (transferred >= 1) {
+        this.complete();
+        return;
+      }
+      this.delay(tick, step);
+    };
+
+    this.listen(button, 'pointerdown', (e) => {
+      e.preventDefault();
+      button.disabled = true;
+      tick();
+    });
+  }
+}
+
+/** Stand on the scanner until the scan finishes */
+class SubmitScanTask extends TaskMiniGame {
+  mount() {
+    this.container.innerHTML = `
+      <div class="task-scan">
+        <div class="scan-figure">🧍<div class="scan-line"></div></div>
+        <p class="scan-status">Scanning...</p>
+      </div>
+    `;
+
+    const status = this.container.querySelector('.scan-status');
+    const step = 100;
+    let scanned = 0;
+
+    // The scan runs by itself; the player just has to stay put
+    const tick = () => {
+      scanned = Math.min(1, scanned + step / this.duration);
+      status.textContent = `Scanning... ${Math.round(scanned * 100)}%`;
+      this.progress(scanned);
+
+      if (scanned >= 1) {
+        status.textContent = 'Scan complete';
+        this.complete();
+        return;
+      }
+      this.delay(tick, step);
+    };
+    tick();
+  }
+}
+
+/** Hold the lever down until the chute is empty */
+class EmptyTrashTask extends TaskMiniGame {
+  mount() {
+    this.container.innerHTML = `
+      <div class="task-trash">
+        <div class="trash-chute"><div class="trash-level"></div></div>
+        <div class="trash-lever" role="button">⬇</div>
+      </div>
+    `;
+
+    const level = this.container.querySelector('.trash-level');
+    const lever = this.container.querySelector('.trash-lever');
+    const step = 50;
+    let emptied = 0;
+    let dumpTimer = null;
+
+    const dump = () => {
+      emptied = Math.min(1, emptied + step / this.duration);
+      level.style.height = `${(1 - emptied) * 100}%`;
+      this.progress(emptied);
+
+      if (emptied >= 1) {
+        dumpTimer = null;
+        this.complete();
+        return;
+      }
+      dumpTimer = this.delay(dump, step);
+    };
+
+    const release = () => {
+      lever.classList.remove('pulled');
+      if (dumpTimer) {
+        this.cancelDelay(dumpTimer);
+        dumpTimer = null;
+      }
+    };
+
+    this.listen(lever, 'pointerdown', (e) => {
+      e.preventDefault();
+      if (dumpTimer || this.finished) return;
+      lever.setPointerCapture(e.pointerId);
+      lever.classList.add('pulled');
+      dump();
+    });
+    this.listen(lever, 'pointerup', release);
+    this.listen(lever, 'pointercancel', release);
+    this.listen(lever, 'lostpointercapture', release);
+  }
+}
+
+// Mini-game id -> mini-game. Multi-stage tasks pick one per stage.
+const TASK_MINI_GAMES = {
+  fix_wires: FixWiresTask,
+  fuel_engine: FuelEngineTask,
+  clean_filter: CleanFilterTask,
+  align_output: AlignOutputTask,
+  divert_power: DivertPowerTask,
+  unlock_manifolds: UnlockManifoldsTask,
+  start_reactor: StartReactorTask,
+  calibrate_distributor: CalibrateDistributorTask,
+  download_data: TransferDataTask,
+  upload_data: TransferDataTask,
+  submit_scan: SubmitScanTask,
+  empty_trash: EmptyTrashTask
+};
+
+/**
+ * Build and mount the mini-game for a task, or return null if the task
+ * has no mini-game
+ */
+function createTaskMiniGame(task, container, options = {}) {
+  const gameId = task.game || task.id;
+  const MiniGame = TASK_MINI_GAMES[gameId];
+  if (!MiniGame) {
+    console.warn(`[Tasks] No mini-game for task "${gameId}"`);
+    return null;
+  }
+
+  const miniGame = new MiniGame(container, { ...options, task });
+  miniGame.mount();
+  return miniGame;
+}
+
+// Export for use in game.js
+window.TaskMiniGame = TaskMiniGame;
+window.TaskMiniGames = {
+  registry: TASK_MINI_GAMES,
+  create: createTaskMiniGame
+};
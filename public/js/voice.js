@@ -15,6 +15,15 @@ class VoiceChat {
     this.peerConnections = new Map();
     this.remoteStreams = new Map();
     this.remoteAudios = new Map();
+    this.remoteAudioNodes = new Map(); // playerId -> { source, filter, gain, panner }
+    this.peerVolumes = new Map(); // Volume requested per peer before channel routing
+    
+    // Channels: routes maps each channel to the channels it can hear. We only
+    // send our audio to peers whose channel hears ours, and only play peers
+    // whose channel ours hears. Without routes everyone hears everyone.
+    this.channel = options.channel || null;
+    this.routes = options.routes || null;
+    this.peerChannels = new Map();
     
     this.isMuted = false;
     this.isEnabled = true;
@@ -40,6 +49,10 @@ class VoiceChat {
     };
     
     this.speakingThreshold = 0.02;
+    
+    // Lowpass cutoff used to muffle voices behind walls (Hz)
+    this.muffledFrequency = 800;
+    this.clearFrequency = 20000;
   }
   
   /**
@@ -85,18 +98,34 @@ class VoiceChat {
       // Notify server of our peer ID
       this.socket.emit('setPeerId', this.peerId);
       
+      // Listen for signaling relayed by the server - store references for cleanup
+      const signalingListeners = {
+        voiceOffer: (data) => this.handleOffer(data),
+        voiceAnswer: (data) => this.handleAnswer(data),
+        iceCandidate: (data) => this.handleIceCandidate(data)
+      };
+      Object.entries(signalingListeners).forEach(([event, listener]) => {
+        this.socket.on(event, listener);
+        this.socketListeners.push({ event, listener });
+      });
+      
       // Get existing peers in room
       this.socket.emit('getVoicePeers', (response) => {
         if (response.success) {
           response.peers.forEach(peer => {
-            this.connectToPeer(peer.peerId, peer.playerId);
+            if (peer.channel) {
+              this.peerChannels.set(peer.playerId, peer.channel);
+            }
+            if (this.shouldInitiate(peer.playerId)) {
+              this.connectToPeer(peer.peerId, peer.playerId);
+            }
           });
         }
       });
       
       // Listen for new peers - store reference for cleanup
       const peerIdListener = (data) => {
-        if (data.playerId !== this.playerId) {
+        if (data.playerId !== this.playerId && this.shouldInitiate(data.playerId)) {
           // Connect to the new peer
           this.connectToPeer(data.peerId, data.playerId);
         }
@@ -155,6 +184,14 @@ class VoiceChat {
     }
   }
   
+  /**
+   * Only one side of each pair sends the offer, so two peers that discover
+   * each other at the same time don't both create connections
+   */
+  shouldInitiate(playerId) {
+    return this.playerId < playerId;
+  }
+  
   /**
    * Connect to a peer
    */
@@ -169,28 +206,20 @@ class VoiceChat {
     };
     
     const pc = new RTCPeerConnection(config);
-    this.peerConnections.set(playerId, { pc, peerId });
+    const connection = { pc, peerId, pendingCandidates: [], senders: [] };
+    this.peerConnections.set(playerId, connection);
     
     // Add local stream tracks
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.localStream);
+        connection.senders.push(pc.addTrack(track, this.localStream));
       });
     }
+    this.applyPeerRouting(playerId);
     
     // Handle incoming tracks
     pc.ontrack = (event) => {
-      const stream = event.streams[0];
-      this.remoteStreams.set(playerId, stream);
-      
-      // Create audio element
-      const audio = new Audio();
-      audio.srcObject = stream;
-      audio.autoplay = true;
-      audio.muted = false;
-      this.remoteAudios.set(playerId, audio);
-      
-      this.onPeerJoin(playerId);
+      this.attachRemoteStream(playerId, event.streams[0]);
     };
     
     // Handle ICE candidates
@@ -244,8 +273,14 @@ class VoiceChat {
   async handleOffer(data) {
     const { fromPlayerId, offer, fromPeerId } = data;
     
-    if (this.peerConnections.has(fromPlayerId)) {
-      return; // Already connected
+    const existing = this.peerConnections.get(fromPlayerId);
+    if (existing) {
+      // A fresh offer replaces a connection that has already failed
+      if (['failed', 'disconnected', 'closed'].includes(existing.pc.connectionState)) {
+        this.disconnectFromPeer(fromPlayerId);
+      } else {
+        return; // Already connected
+      }
     }
     
     const config = {
@@ -254,27 +289,20 @@ class VoiceChat {
     };
     
     const pc = new RTCPeerConnection(config);
-    this.peerConnections.set(fromPlayerId, { pc, peerId: fromPeerId });
+    const connection = { pc, peerId: fromPeerId, pendingCandidates: [], senders: [] };
+    this.peerConnections.set(fromPlayerId, connection);
     
     // Add local stream
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
-        pc.addTrack(track, this.localStream);
+        connection.senders.push(pc.addTrack(track, this.localStream));
       });
     }
+    this.applyPeerRouting(fromPlayerId);
     
     // Handle incoming tracks
     pc.ontrack = (event) => {
-      const stream = event.streams[0];
-      this.remoteStreams.set(fromPlayerId, stream);
-      
-      const audio = new Audio();
-      audio.srcObject = stream;
-      audio.autoplay = true;
-      audio.muted = false;
-      this.remoteAudios.set(fromPlayerId, audio);
-      
-      this.onPeerJoin(fromPlayerId);
+      this.attachRemoteStream(fromPlayerId, event.streams[0]);
     };
     
     // Handle ICE candidates
@@ -287,8 +315,17 @@ class VoiceChat {
       }
     };
     
+    // Handle connection state changes
+    pc.onconnectionstatechange = () => {
+      console.log(`Connection state with ${fromPlayerId}: ${pc.connectionState}`);
+      if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
+        this.handleConnectionFailure(fromPlayerId);
+      }
+    };
+    
     try {
       await pc.setRemoteDescription(new RTCSessionDescription(offer));
+      await this.flushPendingCandidates(connection);
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
       
@@ -302,6 +339,53 @@ class VoiceChat {
     }
   }
   
+  /**
+   * Play a peer's stream through a lowpass -> gain -> stereo panner chain so
+   * proximity chat can shape it
+   */
+  attachRemoteStream(playerId, stream) {
+    this.detachRemoteAudioNodes(playerId);
+    this.remoteStreams.set(playerId, stream);
+    
+    // The element keeps the WebRTC stream flowing; it is muted when Web Audio plays it
+    const audio = new Audio();
+    audio.srcObject = stream;
+    audio.autoplay = true;
+    audio.muted = !!this.audioContext;
+    this.remoteAudios.set(playerId, audio);
+    
+    if (this.audioContext) {
+      const source = this.audioContext.createMediaStreamSource(stream);
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = this.clearFrequency;
+      const gain = this.audioContext.createGain();
+      const panner = this.audioContext.createStereoPanner();
+      
+      source.connect(filter);
+      filter.connect(gain);
+      gain.connect(panner);
+      panner.connect(this.audioContext.destination);
+      
+      this.remoteAudioNodes.set(playerId, { source, filter, gain, panner });
+    }
+    
+    this.setPeerVolume(playerId, this.peerVolumes.has(playerId) ? this.peerVolumes.get(playerId) : 1);
+    this.onPeerJoin(playerId);
+  }
+  
+  /**
+   * Tear down a peer's Web Audio chain
+   */
+  detachRemoteAudioNodes(playerId) {
+    const nodes = this.remoteAudioNodes.get(playerId);
+    if (nodes) {
+      nodes.source.disconnect();
+      nodes.panner.disconnect();
+      this.remoteAudioNodes.delete(playerId);
+    }
+  }
+  
   /**
    * Handle answer from peer
    */
@@ -313,6 +397,7 @@ class VoiceChat {
     
     try {
       await connection.pc.setRemoteDescription(new RTCSessionDescription(answer));
+      await this.flushPendingCandidates(connection);
     } catch (error) {
       console.error('[VoiceChat] Error handling answer:', error);
     }
@@ -327,6 +412,12 @@ class VoiceChat {
     
     if (!connection) return;
     
+    // Candidates can arrive before the remote description is applied
+    if (!connection.pc.remoteDescription) {
+      connection.pendingCandidates.push(candidate);
+      return;
+    }
+    
     try {
       await connection.pc.addIceCandidate(new RTCIceCandidate(candidate));
     } catch (error) {
@@ -334,6 +425,21 @@ class VoiceChat {
     }
   }
   
+  /**
+   * Apply ICE candidates that arrived before the remote description
+   */
+  async flushPendingCandidates(connection) {
+    const candidates = connection.pendingCandidates.splice(0);
+    
+    for (const candidate of candidates) {
+      try {
+        await connection.pc.addIceCandidate(new RTCIceCandidate(candidate));
+      } catch (error) {
+        console.error('[VoiceChat] Error adding queued ICE candidate:', error);
+      }
+    }
+  }
+  
   /**
    * Disconnect from a peer
    */
@@ -352,7 +458,9 @@ class VoiceChat {
       this.remoteAudios.delete(playerId);
     }
     
+    this.detachRemoteAudioNodes(playerId);
     this.remoteStreams.delete(playerId);
+    this.peerVolumes.delete(playerId);
     this.onPeerLeave(playerId);
   }
   
@@ -366,6 +474,9 @@ class VoiceChat {
       if (connection && connection.pc.connectionState === 'failed') {
         this.disconnectFromPeer(playerId);
         
+        // The other side reconnects to us if it is the initiator
+        if (!this.shouldInitiate(playerId)) return;
+        
         // Get the peer's peerId from server
         this.socket.emit('getVoicePeers', (response) => {
           if (response.success) {
@@ -447,18 +558,105 @@ class VoiceChat {
    * Set volume for a specific peer
    */
   setPeerVolume(playerId, volume) {
+    this.peerVolumes.set(playerId, volume);
+    
+    // Peers in channels we cannot hear stay silent whatever the requested volume
+    const clamped = this.canHear(playerId) ? Math.max(0, Math.min(1, volume)) : 0;
+    const nodes = this.remoteAudioNodes.get(playerId);
+    
+    if (nodes) {
+      // Short ramp avoids clicks when the volume changes every frame
+      nodes.gain.gain.setTargetAtTime(clamped, this.audioContext.currentTime, 0.05);
+      return;
+    }
+    
     const audio = this.remoteAudios.get(playerId);
     if (audio) {
-      audio.volume = Math.max(0, Math.min(1, volume));
+      audio.volume = clamped;
     }
   }
   
   /**
-   * Set proximity volume based on distance
+   * Set proximity volume based on distance, with optional stereo pan
+   * (-1 left to 1 right) and muffling when a wall is in the way
    */
-  setProximityVolume(playerId, distance, maxDistance) {
+  setProximityVolume(playerId, distance, maxDistance, { pan = 0, occluded = false } = {}) {
     const volume = Math.max(0, 1 - (distance / maxDistance));
-    this.setPeerVolume(playerId, volume);
+    this.setPeerVolume(playerId, occluded ? volume * 0.5 : volume);
+    
+    const nodes = this.remoteAudioNodes.get(playerId);
+    if (nodes) {
+      const now = this.audioContext.currentTime;
+      nodes.panner.pan.setTargetAtTime(Math.max(-1, Math.min(1, pan)), now, 0.05);
+      nodes.filter.frequency.setTargetAtTime(occluded ? this.muffledFrequency : this.clearFrequency, now, 0.05);
+    }
+  }
+  
+  /**
+   * Everyone heard equally, centered and unfiltered (meetings, lobby)
+   */
+  resetProximity() {
+    this.remoteStreams.forEach((stream, playerId) => {
+      this.setProximityVolume(playerId, 0, 1);
+    });
+  }
+  
+  getPeerChannel(playerId) {
+    return this.peerChannels.get(playerId) || this.channel;
+  }
+  
+  canHear(playerId) {
+    if (!this.routes) return true;
+    return (this.routes[this.channel] || []).includes(this.getPeerChannel(playerId));
+  }
+  
+  canSpeakTo(playerId) {
+    if (!this.routes) return true;
+    return (this.routes[this.getPeerChannel(playerId)] || []).includes(this.channel);
+  }
+  
+  /**
+   * Move the local player to another channel
+   */
+  setChannel(channel) {
+    this.channel = channel;
+    this.applyRouting();
+  }
+  
+  setPeerChannel(playerId, channel) {
+    this.peerChannels.set(playerId, channel);
+    this.applyPeerRouting(playerId);
+  }
+  
+  setRoutes(routes) {
+    this.routes = routes;
+    this.applyRouting();
+  }
+  
+  applyRouting() {
+    this.peerConnections.forEach((connection, playerId) => {
+      this.applyPeerRouting(playerId);
+    });
+  }
+  
+  /**
+   * Stop sending our audio to peers that must not hear us, and silence
+   * peers we must not hear
+   */
+  applyPeerRouting(playerId) {
+    const connection = this.peerConnections.get(playerId);
+    if (connection && this.localStream) {
+      const track = this.canSpeakTo(playerId) ? this.localStream.getAudioTracks()[0] : null;
+      connection.senders.forEach(sender => {
+        if (sender.track !== track) {
+          sender.replaceTrack(track).catch(error => {
+            console.error('[VoiceChat] Error routing audio:', error);
+          });
+        }
+      });
+    }
+    
+    this.setPeerVolume(playerId, this.peerVolumes.has(playerId) ? this.peerVolumes.get(playerId) : 1);
   }
   
   /**
@@ -496,7 +694,12 @@ class VoiceChat {
       audio.srcObject = null;
     });
     this.remoteAudios.clear();
+    this.remoteAudioNodes.forEach((nodes, playerId) => {
+      this.detachRemoteAudioNodes(playerId);
+    });
     this.remoteStreams.clear();
+    this.peerVolumes.clear();
+    this.peerChannels.clear();
     
     // Stop local stream
     if (this.localStream) {
@@ -81,18 +81,68 @@ const maps = {
       // Medbay walls
       { x: 400, y: 500, width: 200, height: 20 }
     ],
+    // Single-location tasks give a position; multi-stage tasks list their
+    // stages in the order they must be done, each with its own mini-game
     tasks: [
-      { id: 'fix_wires', name: 'Fix Wires', x: 300, y: 200, type: 'short' },
-      { id: 'fuel_engine', name: 'Fuel Engine', x: 1000, y: 800, type: 'long' },
-      { id: 'clean_filter', name: 'Clean Filter', x: 600, y: 400, type: 'medium' },
-      { id: 'align_output', name: 'Align Output', x: 1300, y: 200, type: 'short' },
-      { id: 'divert_power', name: 'Divert Power', x: 500, y: 1000, type: 'medium' }
+      { id: 'fix_wires', name: 'Fix Wires', location: 'Admin', x: 300, y: 200, type: 'short' },
+      { id: 'clean_filter', name: 'Clean Filter', location: 'Cafeteria', x: 600, y: 400, type: 'medium' },
+      { id: 'align_output', name: 'Align Output', location: 'Navigation', x: 1300, y: 200, type: 'short' },
+      { id: 'divert_power', name: 'Divert Power', location: 'Shields', x: 500, y: 1000, type: 'medium' },
+      { id: 'unlock_manifolds', name: 'Unlock Manifolds', location: 'Reactor', x: 810, y: 140, type: 'short' },
+      { id: 'start_reactor', name: 'Start Reactor', location: 'Reactor', x: 810, y: 270, type: 'medium' },
+      { id: 'calibrate_distributor', name: 'Calibrate Distributor', location: 'Electrical', x: 820, y: 1120, type: 'long' },
+      // Visual tasks play an animation that nearby players can see
+      { id: 'submit_scan', name: 'Submit Scan', location: 'Medbay', x: 500, y: 600, type: 'medium', visual: 'scan' },
+      { id: 'empty_trash', name: 'Empty Trash', location: 'Storage', x: 1450, y: 1100, type: 'short', visual: 'trash' },
+      {
+        id: 'fuel_engine',
+        name: 'Fuel Engines',
+        type: 'long',
+        stages: [
+          { game: 'fuel_engine', location: 'Storage', x: 1450, y: 900 },
+          { game: 'fuel_engine', location: 'Upper Engine', x: 1150, y: 450 },
+          { game: 'fuel_engine', location: 'Lower Engine', x: 950, y: 1050 }
+        ]
+      },
+      {
+        id: 'upload_data',
+        name: 'Upload Data',
+        type: 'long',
+        stages: [
+          { game: 'download_data', location: 'Navigation', x: 1100, y: 250 },
+          { game: 'upload_data', location: 'Admin', x: 450, y: 330 }
+        ]
+      }
     ],
+    // Each vent lists the vents an imposter can travel to from it
     vents: [
-      { x: 400, y: 400 },
-      { x: 1200, y: 400 },
-      { x: 400, y: 800 },
-      { x: 1200, y: 800 }
+      { id: 'vent_nw', x: 400, y: 400, connections: ['vent_ne', 'vent_sw'] },
+      { id: 'vent_ne', x: 1200, y: 400, connections: ['vent_nw', 'vent_se'] },
+      { id: 'vent_sw', x: 400, y: 800, connections: ['vent_nw', 'vent_se'] },
+      { id: 'vent_se', x: 1200, y: 800, connections: ['vent_ne', 'vent_sw'] }
+    ],
+    // Fix stations for each sabotage; every station must be fixed to resolve it
+    sabotageStations: {
+      lights: [
+        { id: 'lights_panel', name: 'Electrical', x: 800, y: 1000 }
+      ],
+      comms: [
+        { id: 'comms_panel', name: 'Storage', x: 1450, y: 1000 }
+      ],
+      reactor: [
+        { id: 'reactor_left', name: 'Reactor', x: 760, y: 200 },
+        { id: 'reactor_right', name: 'Reactor', x: 860, y: 200 }
+      ],
+      o2: [
+        { id: 'o2_admin', name: 'Admin', x: 350, y: 300 },
+        { id: 'o2_shields', name: 'Shields', x: 350, y: 1000 }
+      ]
+    },
+    // Doors that close during a door lock sabotage
+    doors: [
+      { id: 'cafeteria_top', x: 620, y: 400, width: 380, height: 20 },
+      { id: 'cafeteria_bottom', x: 620, y: 780, width: 380, height: 20 },
+      { id: 'electrical', x: 900, y: 920, width: 20, height: 180 }
     ]
   }
 };
@@ -113,19 +163,307 @@ const PHASE = {
   GAME_OVER: 'game_over'
 };
 
+// Meeting phases
+const MEETING_PHASE = {
+  DISCUSSION: 'discussion',
+  VOTING: 'voting'
+};
+
+// Text chat limits
+const CHAT_MAX_LENGTH = 200;
+const CHAT_RATE_LIMIT = 5; // Messages allowed per window
+const CHAT_RATE_WINDOW = 5000; // ms
+const CHAT_HISTORY_LIMIT = 50;
+
+// Voice/chat channels - dead players move to the ghost channel
+const CHANNEL = {
+  LIVING: 'living',
+  GHOST: 'ghost'
+};
+
+// Teams win together; every role belongs to one
+const TEAM = {
+  CREW: 'crew',
+  IMPOSTERS: 'imposters',
+  NEUTRAL: 'neutral' // Plays for themselves with their own win condition
+};
+
+/**
+ * Role registry - game logic asks a player's role what it may do instead of
+ * comparing role names. Each role declares:
+ * - team, plus a display name and description
+ * - tasks: 'real' tasks fill the task bar, 'fake' ones never do
+ * - canKill / canVent / canSabotage, and killCooldown in seconds (null uses
+ *   the room setting)
+ * - misfire: killing anyone outside the imposter team kills the killer instead
+ * - vitals / shield: extra abilities with their own cooldowns (seconds)
+ * - seesTeam: learns the roles of teammates; lightsImmune: keeps full vision
+ *   when the lights are sabotaged
+ */
+const ROLES = {
+  crewmate: {
+    name: 'Crewmate',
+    description: 'Complete all tasks to win',
+    team: TEAM.CREW,
+    tasks: 'real'
+  },
+  engineer: {
+    name: 'Engineer',
+    description: 'You can use the vents',
+    team: TEAM.CREW,
+    tasks: 'real',
+    canVent: true
+  },
+  scientist: {
+    name: 'Scientist',
+    description: 'Check vitals from anywhere',
+    team: TEAM.CREW,
+    tasks: 'real',
+    vitals: { cooldown: 15 }
+  },
+  sheriff: {
+    name: 'Sheriff',
+    description: 'Shoot the imposter - but a wrong shot kills you',
+    team: TEAM.CREW,
+    tasks: 'real',
+    canKill: true,
+    killCooldown: null,
+    misfire: true
+  },
+  guardian_angel: {
+    name: 'Guardian Angel',
+    description: 'After death, shield the living from imposters',
+    team: TEAM.CREW,
+    tasks: 'real',
+    shield: { cooldown: 35, duration: 10 }
+  },
+  imposter: {
+    name: 'Imposter',
+    description: 'Kill the crew without getting caught',
+    team: TEAM.IMPOSTERS,
+    tasks: 'fake',
+    canKill: true,
+    killCooldown: null,
+    canVent: true,
+    canSabotage: true,
+    seesTeam: true,
+    lightsImmune: true
+  },
+  jester: {
+    name: 'Jester',
+    description: 'Get yourself voted out to win',
+    team: TEAM.NEUTRAL,
+    tasks: 'fake',
+    winsWhenEjected: true
+  },
+  survivor: {
+    name: 'Survivor',
+    description: 'Stay alive until the game ends - whoever wins, you win too',
+    team: TEAM.NEUTRAL,
+    tasks: 'fake',
+    winsAlive: true
+  }
+};
+
+// Roles the host can add to a game, handed out in this order
+const SPECIAL_ROLES = ['engineer', 'scientist', 'sheriff', 'guardian_angel', 'jester', 'survivor'];
+const MAX_SPECIAL_ROLE_COUNT = 3;
+const SHIELD_RANGE = 150;
+
+// Host-configurable gameplay settings
+const MAX_IMPOSTERS = 3;
+const KILL_DISTANCES = { // px
+  short: 100,
+  normal: 150,
+  long: 220
+};
+const MIN_VISION_MULTIPLIER = 0.25;
+const MAX_VISION_MULTIPLIER = 3;
+const MIN_SPEED_MULTIPLIER = 0.5;
+const MAX_SPEED_MULTIPLIER = 2;
+
+// Who sees the shared task bar, and when
+const TASK_BAR = {
+  ALWAYS: 'always', // Live updates
+  MEETINGS: 'meetings', // Refreshed when a meeting starts
+  NEVER: 'never' // Hidden until the game ends
+};
+
+// Sabotage configuration
+const SABOTAGE_COOLDOWN = 30000; // Shared by all imposters, starts when a sabotage ends (ms)
+const SABOTAGE_FIX_RANGE = 60;
+const VENT_RANGE = 60;
+
+// Task validation - players must stay at a task for a minimum time
+const TASK_RANGE = 60;
+const TASK_MIN_DURATION = { // ms, by task type
+  short: 1000,
+  medium: 2000,
+  long: 3000
+};
+
+// Movement validation - the client moves 4px per frame at 60fps
+const PLAYER_SPEED = 240; // px per second
+const PLAYER_RADIUS = 20;
+const MOVE_SPEED_TOLERANCE = 1.5; // Allowance for network jitter
+const MAX_MOVE_BUDGET = 90; // Largest single move after idling (px)
+const MOVE_SAMPLE_STEP = 5; // Distance between collision samples along a move (px)
+
+// Players only receive positions of others they can actually see
+const VISION_RADIUS = 350;
+const LIGHTS_OUT_VISION_RADIUS = 140; // Crewmate vision while lights are sabotaged
+
+// Positions are batched into one snapshot per player per server tick
+const DEFAULT_TICK_RATE = 20; // Hz
+const MIN_TICK_RATE = 10;
+const MAX_TICK_RATE = 60;
+const SABOTAGES = {
+  lights: { critical: false },
+  comms: { critical: false },
+  reactor: { critical: true, duration: 45000, reason: 'Reactor meltdown' },
+  o2: { critical: true, duration: 40000, reason: 'Oxygen depleted' },
+  doors: { critical: false, duration: 10000 }
+};
+
+// How long a disconnected player's slot is held during a game (ms)
+const RECONNECT_GRACE_PERIOD = 60000;
+
+// WebRTC signaling limits
+const MAX_SDP_LENGTH = 16384;
+const MAX_ICE_CANDIDATE_LENGTH = 1024;
+
+// Sent back as { success: false, code, message, field } when a payload is rejected
+const ERROR_CODE = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD', // Wrong type or shape
+  MISSING_FIELD: 'MISSING_FIELD',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INVALID_VALUE: 'INVALID_VALUE' // Not an allowed value or format
+};
+
+const PLAYER_NAME_MAX_LENGTH = 15;
+const ID_RULE = { type: 'string', required: true, maxLength: 64 };
+const ROOM_CODE_RULE = { type: 'string', required: true, maxLength: 6, pattern: /^[A-Za-z0-9]+$/ };
+const COLOR_RULE = { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/ };
+const VISION_RULE = { type: 'number', min: MIN_VISION_MULTIPLIER, max: MAX_VISION_MULTIPLIER };
+
+// Room settings, as sent to createRoom and updateSettings
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  fields: {
+    maxPlayers: { type: 'integer', min: 4, max: 20 },
+    map: { type: 'string', values: Object.keys(maps) },
+    killCooldown: { type: 'integer', min: 10, max: 60 },
+    emergencyCooldown: { type: 'integer', min: 10, max: 60 },
+    discussionTime: { type: 'integer', min: 1, max: 120 },
+    votingTime: { type: 'integer', min: 1, max: 120 },
+    taskBar: { type: 'string', values: Object.values(TASK_BAR) },
+    ghostsHearLiving: { type: 'boolean' },
+    tickRate: { type: 'integer', min: MIN_TICK_RATE, max: MAX_TICK_RATE },
+    roleCounts: {
+      type: 'object',
+      fields: Object.fromEntries(SPECIAL_ROLES.map(role => [role, { type: 'integer', min: 0, max: MAX_SPECIAL_ROLE_COUNT }]))
+    },
+    imposterCount: { type: 'integer', nullable: true, min: 1, max: MAX_IMPOSTERS }, // null picks by player count
+    killDistance: { type: 'string', values: Object.keys(KILL_DISTANCES) },
+    crewVision: VISION_RULE,
+    imposterVision: VISION_RULE,
+    playerSpeed: { type: 'number', min: MIN_SPEED_MULTIPLIER, max: MAX_SPEED_MULTIPLIER }
+  }
+};
+
+/**
+ * The first argument of each socket event. Objects only accept the fields
+ * listed here; events without an entry take no payload.
+ */
+const EVENT_SCHEMAS = {
+  createRoom: SETTINGS_SCHEMA,
+  updateSettings: { ...SETTINGS_SCHEMA, required: true },
+  joinRoom: {
+    type: 'object',
+    required: true,
+    fields: {
+      roomCode: ROOM_CODE_RULE,
+      playerName: { type: 'string', required: true, maxLength: 50 }, // Trimmed to the real limit later
+      color: COLOR_RULE
+    }
+  },
+  updatePlayer: {
+    type: 'object',
+    required: true,
+    fields: {
+      name: { type: 'string', minLength: 1, maxLength: PLAYER_NAME_MAX_LENGTH },
+      color: COLOR_RULE
+    }
+  },
+  rejoinGame: {
+    type: 'object',
+    required: true,
+    fields: {
+      roomCode: ROOM_CODE_RULE,
+      playerId: ID_RULE,
+      sessionToken: ID_RULE
+    }
+  },
+  setPeerId: ID_RULE,
+  // Descriptions and candidates are checked in depth by their sanitizers
+  voiceOffer: {
+    type: 'object',
+    required: true,
+    fields: { targetPlayerId: ID_RULE, offer: { type: 'object', required: true }, fromPeerId: { type: 'string', maxLength: 64 } }
+  },
+  voiceAnswer: {
+    type: 'object',
+    required: true,
+    fields: { targetPlayerId: ID_RULE, answer: { type: 'object', required: true }, fromPeerId: { type: 'string', maxLength: 64 } }
+  },
+  iceCandidate: {
+    type: 'object',
+    required: true,
+    fields: { targetPlayerId: ID_RULE, candidate: { type: 'object', required: true } }
+  },
+  playerMove: {
+    type: 'object',
+    required: true,
+    fields: {
+      seq: { type: 'integer', required: true, min: 0 },
+      dx: { type: 'number', required: true },
+      dy: { type: 'number', required: true }
+    }
+  },
+  vote: { type: 'string', nullable: true, maxLength: 64 }, // null skips
+  startTask: ID_RULE,
+  completeTask: ID_RULE,
+  killPlayer: ID_RULE,
+  shieldPlayer: ID_RULE,
+  sabotage: { type: 'string', required: true, values: Object.keys(SABOTAGES) },
+  fixSabotage: ID_RULE,
+  enterVent: ID_RULE,
+  moveVent: ID_RULE,
+  // Generous, since the sanitizer strips whitespace before the real length check
+  chatMessage: { type: 'string', required: true, maxLength: CHAT_MAX_LENGTH * 2 }
+};
+
 // Helper functions
 function generateRoomCode() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
-function assignRoles(numPlayers) {
-  const numImposters = numPlayers <= 5 ? 1 : numPlayers <= 8 ? 2 : 3;
+function assignRoles(numPlayers, numImposters, roleCounts = {}) {
   const roles = Array(numPlayers).fill('crewmate');
   
   for (let i = 0; i < numImposters; i++) {
     roles[i] = 'imposter';
   }
   
+  // Special roles replace plain crewmates while there are any left
+  let next = numImposters;
+  SPECIAL_ROLES.forEach((role) => {
+    for (let i = 0; i < (roleCounts[role] || 0) && next < numPlayers; i++) {
+      roles[next++] = role;
+    }
+  });
+  
   // Shuffle roles
   for (let i = roles.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -135,6 +473,82 @@ function assignRoles(numPlayers) {
   return roles;
 }
 
+function getRole(player) {
+  return ROLES[player.role] || ROLES.crewmate;
+}
+
+function isImposter(player) {
+  return getRole(player).team === TEAM.IMPOSTERS;
+}
+
+/** What a player's own client needs to know about their role */
+function describeRole(player) {
+  const role = getRole(player);
+  return {
+    id: player.role,
+    name: role.name,
+    description: role.description,
+    team: role.team,
+    canKill: !!role.canKill,
+    misfire: !!role.misfire,
+    canVent: !!role.canVent,
+    canSabotage: !!role.canSabotage,
+    lightsImmune: !!role.lightsImmune,
+    realTasks: role.tasks === 'real',
+    vitals: !!role.vitals,
+    shield: !!role.shield
+  };
+}
+
+/** Seconds until one of a player's abilities can be used again */
+function getCooldownRemaining(player, ability) {
+  const readyAt = (player.cooldowns && player.cooldowns[ability]) || 0;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+}
+
+function startCooldown(player, ability, seconds) {
+  player.cooldowns[ability] = Date.now() + seconds * 1000;
+}
+
+// Clamp the host's special role counts to known roles and sane numbers
+function sanitizeRoleCounts(roleCounts) {
+  const counts = {};
+  SPECIAL_ROLES.forEach((role) => {
+    const count = Math.floor(Number(roleCounts && roleCounts[role]) || 0);
+    counts[role] = Math.max(0, Math.min(MAX_SPECIAL_ROLE_COUNT, count));
+  });
+  return counts;
+}
+
+// Clamps a numeric setting, falling back to the default for junk input
+function clampSetting(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(min, Math.min(max, number));
+}
+
+/**
+ * Imposters must be outnumbered from the start, or the game would end as
+ * soon as it began
+ */
+function getMaxImposters(numPlayers) {
+  return Math.min(MAX_IMPOSTERS, Math.ceil(numPlayers / 2) - 1);
+}
+
+// Used unless the host picks a count
+function getDefaultImposterCount(numPlayers) {
+  return numPlayers <= 5 ? 1 : numPlayers <= 8 ? 2 : 3;
+}
+
+/** Movement and vision values the player's client has to mirror */
+function describeGameplay(room, player) {
+  return {
+    killRange: KILL_DISTANCES[room.settings.killDistance],
+    playerSpeed: room.settings.playerSpeed,
+    vision: isImposter(player) ? room.settings.imposterVision : room.settings.crewVision
+  };
+}
+
 function createRoom(hostSocketId, settings = {}) {
   const roomCode = generateRoomCode();
   const room = {
@@ -147,28 +561,153 @@ function createRoom(hostSocketId, settings = {}) {
       crewmates: [],
       tasks: [],
       meetingActive: false,
+      meetingPhase: null,
+      meetingPhaseEndsAt: null,
       votes: {},
       bodyReported: false,
       emergencyCalled: false,
       taskProgress: 0,
+      shownTaskProgress: 0, // Progress as of the last meeting, for the 'meetings' task bar
       totalTasks: 0,
-      map: settings.map || 'skeld'
+      winEvent: null, // What ended the game, when the room state alone doesn't say
+      bodies: [],
+      sabotage: null,
+      sabotageCooldownEndsAt: 0,
+      map: maps[settings.map] ? settings.map : 'skeld'
     },
-    settings: {
-      ...settings,
-      maxPlayers: settings.maxPlayers || 20,
-      killCooldown: settings.killCooldown || 30,
-      taskBar: settings.taskBar || 'always',
-      emergencyCooldown: settings.emergencyCooldown || 15,
-      discussionTime: settings.discussionTime || 30,
-      votingTime: settings.votingTime || 30
-    }
+    meetingTimer: null,
+    sabotageTimer: null,
+    tickTimer: null,
+    movedPlayers: new Set(), // Players whose position changed since the last tick
+    // Per-player rejoin secrets, kept off the player object so they are never broadcast
+    sessionTokens: new Map(),
+    disconnectTimers: new Map(),
+    visibility: new Map(), // viewer id -> Set of player ids whose positions they know
+    knownBodies: new Map(), // viewer id -> Set of victim ids whose bodies they have been sent
+    knownDeaths: new Map(), // viewer id -> Set of dead player ids they have been told about
+    chatHistory: [],
+    chatRateLimits: new Map(), // player id -> timestamps of recent messages
+    settings: buildSettings(settings)
   };
   
   rooms.set(roomCode, room);
   return room;
 }
 
+// Fills in defaults for anything the host left out
+function buildSettings(settings = {}) {
+  return {
+    map: maps[settings.map] ? settings.map : 'skeld',
+    maxPlayers: settings.maxPlayers || 20,
+    killCooldown: settings.killCooldown || 30,
+    taskBar: Object.values(TASK_BAR).includes(settings.taskBar) ? settings.taskBar : TASK_BAR.ALWAYS,
+    emergencyCooldown: settings.emergencyCooldown || 15,
+    discussionTime: settings.discussionTime || 30,
+    votingTime: settings.votingTime || 30,
+    ghostsHearLiving: settings.ghostsHearLiving !== false,
+    tickRate: Math.max(MIN_TICK_RATE, Math.min(MAX_TICK_RATE, Number(settings.tickRate) || DEFAULT_TICK_RATE)),
+    roleCounts: sanitizeRoleCounts(settings.roleCounts),
+    imposterCount: settings.imposterCount ? Math.round(clampSetting(settings.imposterCount, 1, MAX_IMPOSTERS, 1)) : null,
+    killDistance: KILL_DISTANCES[settings.killDistance] ? settings.killDistance : 'normal',
+    crewVision: clampSetting(settings.crewVision, MIN_VISION_MULTIPLIER, MAX_VISION_MULTIPLIER, 1),
+    imposterVision: clampSetting(settings.imposterVision, MIN_VISION_MULTIPLIER, MAX_VISION_MULTIPLIER, 1),
+    playerSpeed: clampSetting(settings.playerSpeed, MIN_SPEED_MULTIPLIER, MAX_SPEED_MULTIPLIER, 1)
+  };
+}
+
+/**
+ * Create a player's copy of a task template. The current stage's game and
+ * position are mirrored onto the task so clients only look at one place.
+ * Fake tasks are handed to imposters and never count toward progress.
+ */
+function createTask(template, playerId, fake = false) {
+  const stages = template.stages || [
+    { game: template.id, location: template.location, x: template.x, y: template.y }
+  ];
+  
+  const task = {
+    id: template.id,
+    name: template.name,
+    type: template.type,
+    assignedTo: playerId,
+    stages: stages.map(stage => ({ ...stage })),
+    stage: 0,
+    completed: false,
+    visual: template.visual || null,
+    fake
+  };
+  Object.assign(task, task.stages[0]);
+  return task;
+}
+
+/** Mark the current stage done and move the task on to the next one */
+function advanceTask(task) {
+  task.stage++;
+  if (task.stage >= task.stages.length) {
+    task.completed = true;
+    return;
+  }
+  Object.assign(task, task.stages[task.stage]);
+}
+
+/** Task progress counts each finished stage of a crewmate task */
+function getTaskProgress(room) {
+  let completed = 0;
+  let total = 0;
+  room.gameState.tasks.forEach((task) => {
+    const owner = room.players.get(task.assignedTo);
+    if (task.fake || !owner || getRole(owner).tasks !== 'real') return;
+    completed += task.stage;
+    total += task.stages.length;
+  });
+  return { completed, total };
+}
+
+function isInTaskRange(player, task) {
+  const dx = player.x - task.x;
+  const dy = player.y - task.y;
+  return Math.sqrt(dx * dx + dy * dy) <= TASK_RANGE;
+}
+
+/**
+ * Start or stop a player's visual task animation for everyone who can see
+ * them; players who come into view later get it with their snapshot
+ */
+function setVisualTask(room, player, visual) {
+  if (player.visualTask === visual) return;
+  
+  player.visualTask = visual;
+  room.players.forEach((viewer) => {
+    if (canSee(room, viewer, player)) {
+      emitToPlayer(viewer, 'visualTask', { playerId: player.id, visual });
+    }
+  });
+}
+
+/** Abort the task a player is working on and close it on their client */
+function cancelActiveTask(room, player, reason) {
+  if (!player.activeTask) return;
+  
+  const taskId = player.activeTask.taskId;
+  player.activeTask = null;
+  setVisualTask(room, player, null);
+  emitToPlayer(player, 'taskCancelled', { taskId, reason });
+}
+
+/** Task progress as the taskBar setting lets players see it; null when hidden */
+function getShownTaskProgress(room) {
+  if (room.gameState.phase === PHASE.GAME_OVER) return room.gameState.taskProgress;
+  
+  switch (room.settings.taskBar) {
+    case TASK_BAR.MEETINGS:
+      return room.gameState.shownTaskProgress;
+    case TASK_BAR.NEVER:
+      return null;
+    default:
+      return room.gameState.taskProgress;
+  }
+}
+
 function resetGame(roomCode) {
   const room = rooms.get(roomCode);
   if (!room) return;
@@ -177,7 +716,8 @@ function resetGame(roomCode) {
   const spawnIndex = Math.floor(Math.random() * mapConfig.spawnPoints.length);
   
   // Assign roles
-  const roles = assignRoles(room.players.size);
+  const numImposters = room.settings.imposterCount || getDefaultImposterCount(room.players.size);
+  const roles = assignRoles(room.players.size, numImposters, room.settings.roleCounts);
   const playerArray = Array.from(room.players.values());
   
   room.gameState.imposters = [];
@@ -191,702 +731,2384 @@ function resetGame(roomCode) {
     player.y = mapConfig.spawnPoints[index % mapConfig.spawnPoints.length].y;
     player.completedTasks = 0;
     player.votedFor = null;
-    
-    if (player.role === 'imposter') {
+    player.inVent = null;
+    player.channel = CHANNEL.LIVING;
+    player.lastMoveAt = Date.now();
+    player.moveBudget = 0;
+    player.lastProcessedInput = 0;
+    player.lastAckedInput = 0;
+    player.activeTask = null;
+    player.visualTask = null;
+    // Ability name -> time it is ready again; kills start ready
+    player.cooldowns = {};
+    player.shieldedUntil = 0;
+    
+    if (isImposter(player)) {
       room.gameState.imposters.push(player.id);
     } else {
       room.gameState.crewmates.push(player.id);
-      // Assign random tasks to crewmates
-      const numTasks = 3 + Math.floor(Math.random() * 3); // 3-5 tasks per crewmate
-      for (let i = 0; i < numTasks; i++) {
-        const task = { ...mapConfig.tasks[Math.floor(Math.random() * mapConfig.tasks.length)] };
-        task.assignedTo = player.id;
-        task.completed = false;
-        room.gameState.tasks.push(task);
-      }
     }
+    
+    // Assign 3-5 different random tasks to each player. Imposters and
+    // neutrals get fake tasks to pretend with, never visual ones since
+    // imposters cannot do those.
+    const fake = getRole(player).tasks === 'fake';
+    const numTasks = 3 + Math.floor(Math.random() * 3);
+    const pool = fake ? mapConfig.tasks.filter(t => !t.visual) : mapConfig.tasks;
+    const templates = [...pool].sort(() => Math.random() - 0.5).slice(0, numTasks);
+    templates.forEach((template) => {
+      room.gameState.tasks.push(createTask(template, player.id, fake));
+    });
   });
   
-  // FIX: Properly count crewmate tasks by looking up player roles
-  room.gameState.totalTasks = room.gameState.tasks.filter(t => {
-    const player = room.players.get(t.assignedTo);
-    return player && player.role !== 'imposter';
-  }).length;
+  room.gameState.taskProgress = 0;
+  room.gameState.shownTaskProgress = 0;
+  room.gameState.totalTasks = getTaskProgress(room).total;
+  room.gameState.winEvent = null;
   
   room.gameState.phase = PHASE.TASKS;
   room.gameState.meetingActive = false;
   room.gameState.votes = {};
+  room.gameState.bodies = [];
+  room.knownBodies = new Map();
+  room.knownDeaths = new Map();
   room.gameState.bodyReported = false;
   room.gameState.emergencyCalled = false;
+  room.gameState.sabotage = null;
+  room.gameState.sabotageCooldownEndsAt = 0;
+  clearTimeout(room.sabotageTimer);
+  room.sabotageTimer = null;
   
-  // Reset impostor kill cooldowns
-  room.gameState.imposterKillCooldowns = {};
-  room.gameState.imposters.forEach(id => {
-    room.gameState.imposterKillCooldowns[id] = 0;
-  });
+  // Lobby chat does not carry over into the game
+  room.chatHistory = [];
+  
+  resetVisibility(room);
   
   return room;
 }
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+function startMeeting(room, type, callerId) {
+  // Calling a meeting ends any active sabotage
+  if (room.gameState.sabotage) {
+    resolveSabotage(room, null);
+  }
   
-  // Create room
-  socket.on('createRoom', (settings, callback) => {
-    const room = createRoom(socket.id, settings);
-    socket.join(room.code);
-    
-    if (typeof callback === 'function') {
-      callback({ 
-        success: true, 
-        roomCode: room.code,
-        settings: room.settings
-      });
+  room.gameState.meetingActive = true;
+  room.gameState.meetingType = type;
+  room.gameState.phase = PHASE.MEETING;
+  
+  // Nobody stays hidden in a vent or at a task through a meeting
+  room.players.forEach((p) => {
+    if (p.inVent) {
+      exitVent(room, p);
     }
-    
-    // Also emit the room code to all sockets in the room
-    socket.to(room.code).emit('roomCreated', { roomCode: room.code });
-    
-    console.log(`Room created: ${room.code}`);
+    cancelActiveTask(room, p, 'A meeting was called');
   });
   
-  // Join room
-  socket.on('joinRoom', ({ roomCode, playerName, color }, callback) => {
-    const room = rooms.get(roomCode.toUpperCase());
-    
-    if (!room) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Room not found' });
-      }
-      return;
-    }
-    
-    if (room.players.size >= room.settings.maxPlayers) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Room is full' });
-      }
-      return;
-    }
-    
-    if (room.gameState.phase !== PHASE.LOBBY) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Game already in progress' });
-      }
-      return;
-    }
-    
-    // Validate and sanitize player name
-    const sanitizedName = (playerName || '').trim().slice(0, 15);
-    if (sanitizedName.length === 0) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Player name cannot be empty' });
-      }
-      return;
-    }
-    
-    // Check for malicious content
-    const offensivePatterns = /<script|javascript:|data:/i;
-    if (offensivePatterns.test(sanitizedName)) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Invalid player name' });
+  // Reset votes
+  room.gameState.votes = {};
+  room.players.forEach((p) => {
+    p.votedFor = null;
+  });
+  
+  // Every death so far comes out at the meeting
+  room.players.forEach((viewer) => {
+    room.players.forEach((p) => {
+      if (!p.isAlive) {
+        revealDeath(room, viewer, p);
       }
-      return;
-    }
-    
-    const playerId = uuidv4();
-    const player = {
-      id: playerId,
-      socketId: socket.id,
-      name: sanitizedName,
-      color: color || PLAYER_COLORS[room.players.size % PLAYER_COLORS.length],
-      role: 'crewmate',
-      isAlive: true,
-      x: 800 + (Math.random() - 0.5) * 200,
-      y: 600 + (Math.random() - 0.5) * 200,
-      completedTasks: 0,
-      votedFor: null,
-      peerId: null // For WebRTC voice
-    };
-    
-    room.players.set(playerId, player);
-    playerSockets.set(socket.id, { roomCode: room.code, playerId });
-    socket.join(room.code);
-    
-    // Notify others
-    socket.to(room.code).emit('playerJoined', player);
-    
-    // Send current players to new player
-    const playersList = Array.from(room.players.values());
-    socket.emit('roomJoined', {
-      success: true,
-      playerId,
-      roomCode: room.code,
-      players: playersList,
-      host: room.host,
-      settings: room.settings,
-      map: room.gameState.map
     });
-    
-    if (typeof callback === 'function') {
-      callback({ success: true, playerId });
-    }
-    
-    console.log(`Player ${player.name} joined room ${room.code}`);
   });
   
-  // Update player info (name, color)
-  socket.on('updatePlayer', (updates, callback) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Not in a room' });
-      }
-      return;
-    }
-    
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
-    
-    if (!player) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Player not found' });
-      }
-      return;
-    }
-    
-    Object.assign(player, updates);
-    
-    // Notify others
-    socket.to(data.roomCode).emit('playerUpdated', { playerId: data.playerId, updates });
-    
-    if (typeof callback === 'function') {
-      callback({ success: true });
-    }
+  // Discussion first; voting opens when the server timer fires
+  const now = Date.now();
+  room.gameState.meetingPhase = MEETING_PHASE.DISCUSSION;
+  room.gameState.meetingPhaseEndsAt = now + room.settings.discussionTime * 1000;
+  
+  clearTimeout(room.meetingTimer);
+  room.meetingTimer = setTimeout(() => startVotingPhase(room), room.settings.discussionTime * 1000);
+  
+  // The 'meetings' task bar catches up now
+  room.gameState.shownTaskProgress = room.gameState.taskProgress;
+  
+  const meeting = {
+    type,
+    discussionTime: room.settings.discussionTime,
+    votingTime: room.settings.votingTime,
+    phase: room.gameState.meetingPhase,
+    phaseEndsAt: room.gameState.meetingPhaseEndsAt,
+    serverTime: now,
+    taskProgress: getShownTaskProgress(room),
+    totalTasks: room.gameState.totalTasks
+  };
+  if (type === 'body') {
+    meeting.reportedBy = callerId;
+  } else {
+    meeting.calledBy = callerId;
+  }
+  
+  io.to(room.code).emit('meetingCalled', meeting);
+}
+
+function startVotingPhase(room) {
+  if (!room.gameState.meetingActive) return;
+  
+  const now = Date.now();
+  room.gameState.meetingPhase = MEETING_PHASE.VOTING;
+  room.gameState.meetingPhaseEndsAt = now + room.settings.votingTime * 1000;
+  
+  // Tally automatically when the voting window closes
+  clearTimeout(room.meetingTimer);
+  room.meetingTimer = setTimeout(() => endMeeting(room), room.settings.votingTime * 1000);
+  
+  io.to(room.code).emit('meetingPhaseChanged', {
+    phase: room.gameState.meetingPhase,
+    phaseEndsAt: room.gameState.meetingPhaseEndsAt,
+    serverTime: now
   });
+}
+
+function allLivingPlayersVoted(room) {
+  return Array.from(room.players.values())
+    .filter(p => p.isAlive)
+    .every(p => room.gameState.votes[p.id] !== undefined);
+}
+
+function tallyVotes(room) {
+  const counts = { skip: 0 };
   
-  // Voice: Set peer ID
-  socket.on('setPeerId', (peerId) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) return;
-    
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
-    
-    if (player) {
-      player.peerId = peerId;
-      io.to(data.roomCode).emit('peerIdUpdated', { playerId: data.playerId, peerId });
+  Object.values(room.gameState.votes).forEach((targetId) => {
+    const key = targetId === null ? 'skip' : targetId;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  
+  // Highest count wins; a tie (including a tie with skip) ejects nobody
+  let topTarget = null;
+  let topCount = 0;
+  let tie = false;
+  
+  Object.entries(counts).forEach(([targetId, count]) => {
+    if (count > topCount) {
+      topTarget = targetId;
+      topCount = count;
+      tie = false;
+    } else if (count === topCount && count > 0) {
+      tie = true;
     }
   });
   
-  // Get voice peers in room
-  socket.on('getVoicePeers', (callback) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Not in a room' });
+  const ejectedId = !tie && topTarget !== 'skip' ? topTarget : null;
+  return { counts, ejectedId, tie };
+}
+
+function endMeeting(room) {
+  if (!room.gameState.meetingActive) return;
+  
+  clearTimeout(room.meetingTimer);
+  room.meetingTimer = null;
+  
+  const votes = { ...room.gameState.votes };
+  const { counts, ejectedId, tie } = tallyVotes(room);
+  
+  let ejected = null;
+  const ejectedPlayer = ejectedId ? room.players.get(ejectedId) : null;
+  if (ejectedPlayer && ejectedPlayer.isAlive) {
+    ejectedPlayer.isAlive = false;
+    // Everyone watched the ejection
+    room.players.forEach((p) => getKnownDeaths(room, p).add(ejectedPlayer.id));
+    moveToGhostChannel(room, ejectedPlayer);
+    ejected = {
+      id: ejectedPlayer.id,
+      name: ejectedPlayer.name,
+      color: ejectedPlayer.color,
+      role: ejectedPlayer.role
+    };
+  }
+  
+  room.gameState.meetingActive = false;
+  room.gameState.meetingPhase = null;
+  room.gameState.meetingPhaseEndsAt = null;
+  room.gameState.phase = PHASE.TASKS;
+  room.gameState.bodyReported = false;
+  room.gameState.emergencyCalled = false;
+  
+  // Bodies are cleaned up once a meeting has been held
+  room.gameState.bodies = [];
+  room.knownBodies = new Map();
+  
+  // Reset all votes
+  room.gameState.votes = {};
+  room.players.forEach((p) => {
+    p.votedFor = null;
+  });
+  
+  // Respawn all alive players at random spawn points
+  const mapConfig = maps[room.gameState.map];
+  room.players.forEach((player) => {
+    if (player.isAlive) {
+      const spawnPoint = mapConfig.spawnPoints[Math.floor(Math.random() * mapConfig.spawnPoints.length)];
+      player.x = spawnPoint.x + (Math.random() - 0.5) * 100;
+      player.y = spawnPoint.y + (Math.random() - 0.5) * 100;
+    }
+  });
+  
+  resetVisibility(room);
+  
+  // Each player only learns the respawn positions they can see
+  room.players.forEach((viewer) => {
+    const positions = {};
+    room.visibility.get(viewer.id).forEach((id) => {
+      const player = room.players.get(id);
+      if (player.isAlive) {
+        positions[id] = { x: player.x, y: player.y };
+      }
+    });
+    
+    emitToPlayer(viewer, 'meetingEnded', {
+      votes,
+      counts,
+      tie,
+      ejected,
+      positions
+    });
+  });
+  
+  checkWinConditions(room, ejectedPlayer && ejected ? { type: 'ejected', player: ejectedPlayer } : null);
+}
+
+function endGame(room, winningTeam, reason) {
+  room.gameState.phase = PHASE.GAME_OVER;
+  room.gameState.meetingActive = false;
+  room.gameState.meetingPhase = null;
+  room.gameState.sabotage = null;
+  clearTimeout(room.meetingTimer);
+  room.meetingTimer = null;
+  clearTimeout(room.sabotageTimer);
+  room.sabotageTimer = null;
+  stopGameLoop(room);
+  
+  io.to(room.code).emit('gameOver', {
+    winningTeam,
+    winners: getWinners(room, winningTeam),
+    reason,
+    taskProgress: room.gameState.taskProgress,
+    totalTasks: room.gameState.totalTasks
+  });
+}
+
+/**
+ * Reopens a finished game's room as a lobby so the host can change settings
+ * and new players can join before the rematch. Roles and tasks are dealt
+ * again when the next game starts.
+ */
+function returnRoomToLobby(room) {
+  if (room.gameState.phase !== PHASE.GAME_OVER) return;
+  
+  room.gameState.phase = PHASE.LOBBY;
+  room.gameState.bodies = [];
+  room.gameState.tasks = [];
+  room.gameState.imposters = [];
+  room.gameState.crewmates = [];
+  room.knownBodies = new Map();
+  room.knownDeaths = new Map();
+  room.players.forEach((player) => {
+    player.role = 'crewmate';
+    player.isAlive = true;
+    player.completedTasks = 0;
+    player.votedFor = null;
+    player.inVent = null;
+    player.activeTask = null;
+    player.visualTask = null;
+    player.cooldowns = {};
+    player.shieldedUntil = 0;
+    if (player.channel !== CHANNEL.LIVING) {
+      player.channel = CHANNEL.LIVING;
+      io.to(room.code).emit('channelChanged', { playerId: player.id, channel: player.channel });
+    }
+  });
+  
+  // Stale game-time sight lines would hide players in the lobby
+  room.visibility = new Map();
+}
+
+// Lobby state as seen by one player
+function getLobbyState(room, viewer) {
+  return {
+    players: Array.from(room.players.values()).map(p => serializePlayer(room, p, viewer)),
+    host: room.host,
+    settings: room.settings
+  };
+}
+
+// Strips control and zero-width characters and collapses whitespace
+function sanitizeChatText(text) {
+  if (typeof text !== 'string') return '';
+  
+  return text
+    .replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u2028-\u202E\u2060-\u206F\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lobby messages (no channel) reach everyone; in-game messages follow the
+ * same routing as voice, so the living never see ghost chat
+ */
+function canReceiveChat(room, viewer, message) {
+  if (!message.channel) return true;
+  return getVoiceRoutes(room)[viewer.channel].includes(message.channel);
+}
+
+function getChatHistory(room, viewer) {
+  return room.chatHistory.filter(message => canReceiveChat(room, viewer, message));
+}
+
+// Returns false when the player has sent too many messages recently
+function allowChatMessage(room, playerId) {
+  const now = Date.now();
+  const recent = (room.chatRateLimits.get(playerId) || []).filter(time => now - time < CHAT_RATE_WINDOW);
+  
+  if (recent.length >= CHAT_RATE_LIMIT) {
+    room.chatRateLimits.set(playerId, recent);
+    return false;
+  }
+  
+  recent.push(now);
+  room.chatRateLimits.set(playerId, recent);
+  return true;
+}
+
+// Only players who know about the death learn that the player left the living channel
+function moveToGhostChannel(room, player) {
+  player.channel = CHANNEL.GHOST;
+  room.players.forEach((p) => {
+    if (p.id === player.id || getKnownDeaths(room, p).has(player.id)) {
+      emitToPlayer(p, 'channelChanged', { playerId: player.id, channel: player.channel });
+    }
+  });
+}
+
+/**
+ * Which channels each channel can hear. Ghosts always hear each other and
+ * optionally the living; the living never hear ghosts
+ */
+function getVoiceRoutes(room) {
+  return {
+    [CHANNEL.LIVING]: [CHANNEL.LIVING],
+    [CHANNEL.GHOST]: room.settings.ghostsHearLiving ? [CHANNEL.GHOST, CHANNEL.LIVING] : [CHANNEL.GHOST]
+  };
+}
+
+// Client-facing view of the active sabotage
+function serializeSabotage(sabotage) {
+  if (!sabotage) return null;
+  
+  return {
+    type: sabotage.type,
+    critical: SABOTAGES[sabotage.type].critical,
+    endsAt: sabotage.endsAt,
+    stations: sabotage.stations,
+    doors: sabotage.doors
+  };
+}
+
+function startSabotage(room, type) {
+  const config = SABOTAGES[type];
+  const mapConfig = maps[room.gameState.map];
+  const now = Date.now();
+  
+  const sabotage = {
+    type,
+    startedAt: now,
+    endsAt: config.duration ? now + config.duration : null,
+    stations: (mapConfig.sabotageStations[type] || []).map(station => ({ ...station, fixed: false })),
+    doors: type === 'doors' ? mapConfig.doors : []
+  };
+  
+  room.gameState.sabotage = sabotage;
+  
+  clearTimeout(room.sabotageTimer);
+  room.sabotageTimer = null;
+  
+  if (config.critical) {
+    // Crewmates lose if the crisis isn't fixed in time
+    room.sabotageTimer = setTimeout(() => {
+      room.sabotageTimer = null;
+      if (room.gameState.sabotage === sabotage) {
+        checkWinConditions(room, { type: 'sabotage', reason: config.reason });
+      }
+    }, config.duration);
+  } else if (config.duration) {
+    // Door locks open on their own
+    room.sabotageTimer = setTimeout(() => {
+      room.sabotageTimer = null;
+      if (room.gameState.sabotage === sabotage) {
+        resolveSabotage(room, null);
+      }
+    }, config.duration);
+  }
+  
+  io.to(room.code).emit('sabotageStarted', {
+    ...serializeSabotage(sabotage),
+    serverTime: now
+  });
+}
+
+function resolveSabotage(room, fixedBy) {
+  const sabotage = room.gameState.sabotage;
+  if (!sabotage) return;
+  
+  clearTimeout(room.sabotageTimer);
+  room.sabotageTimer = null;
+  room.gameState.sabotage = null;
+  room.gameState.sabotageCooldownEndsAt = Date.now() + SABOTAGE_COOLDOWN;
+  
+  io.to(room.code).emit('sabotageResolved', {
+    type: sabotage.type,
+    fixedBy,
+    cooldownEndsAt: room.gameState.sabotageCooldownEndsAt
+  });
+}
+
+/**
+ * Decides whether the game is over. Every change that can end a game (a
+ * kill, an ejection, a task, a sabotage running out, a player leaving) runs
+ * through here; `event` describes changes that are not visible in the room
+ * state afterwards. Returns { winningTeam, reason } or null.
+ */
+function evaluateWinConditions(room, event) {
+  if (event && event.type === 'ejected' && getRole(event.player).winsWhenEjected) {
+    return { winningTeam: TEAM.NEUTRAL, reason: `${event.player.name} was the ${getRole(event.player).name}` };
+  }
+  
+  if (event && event.type === 'sabotage') {
+    return { winningTeam: TEAM.IMPOSTERS, reason: event.reason };
+  }
+  
+  if (room.gameState.totalTasks > 0 && room.gameState.taskProgress >= room.gameState.totalTasks) {
+    return { winningTeam: TEAM.CREW, reason: 'All tasks completed' };
+  }
+  
+  // Neutrals count towards the living non-imposters for the majority check
+  const aliveImposters = room.gameState.imposters.filter(id => {
+    const p = room.players.get(id);
+    return p && p.isAlive;
+  }).length;
+  
+  const aliveOthers = room.gameState.crewmates.filter(id => {
+    const p = room.players.get(id);
+    return p && p.isAlive;
+  }).length;
+  
+  if (aliveImposters === 0) {
+    return { winningTeam: TEAM.CREW, reason: 'All imposters eliminated' };
+  }
+  
+  if (aliveImposters >= aliveOthers) {
+    return { winningTeam: TEAM.IMPOSTERS, reason: 'Imposters outnumber crewmates' };
+  }
+  
+  return null;
+}
+
+// Returns true if the game ended
+function checkWinConditions(room, event = null) {
+  if (room.gameState.phase === PHASE.LOBBY || room.gameState.phase === PHASE.GAME_OVER) {
+    return false;
+  }
+  
+  const result = evaluateWinConditions(room, event);
+  if (!result) return false;
+  
+  room.gameState.winEvent = event;
+  endGame(room, result.winningTeam, result.reason);
+  return true;
+}
+
+/**
+ * Everyone who won: the whole winning team, dead or alive, plus any living
+ * survivors. A neutral win goes to the player who triggered it, and to the
+ * survivors too.
+ */
+function getWinners(room, winningTeam) {
+  const event = room.gameState.winEvent;
+  const winners = [];
+  
+  room.players.forEach((player) => {
+    const role = getRole(player);
+    const triggeredWin = winningTeam === TEAM.NEUTRAL
+      ? !!event && event.player === player
+      : role.team === winningTeam;
+    const won = triggeredWin || (role.winsAlive && player.isAlive);
+    
+    if (won) {
+      const winner = {
+        id: player.id,
+        name: player.name,
+        color: player.color,
+        role: player.role,
+        roleName: role.name
+      };
+      
+      // The player behind a neutral win comes first, since the game over
+      // screen is titled after them
+      if (triggeredWin && winningTeam === TEAM.NEUTRAL) {
+        winners.unshift(winner);
+      } else {
+        winners.push(winner);
+      }
+    }
+  });
+  
+  return winners;
+}
+
+function findVent(room, ventId) {
+  return maps[room.gameState.map].vents.find(v => v.id === ventId) || null;
+}
+
+function exitVent(room, player) {
+  const ventId = player.inVent;
+  player.inVent = null;
+  
+  // Only players who can see the vent notice someone climbing out
+  room.players.forEach((viewer) => {
+    if (canSee(room, viewer, player)) {
+      emitToPlayer(viewer, 'playerExitedVent', {
+        playerId: player.id,
+        ventId,
+        x: player.x,
+        y: player.y
+      });
+    }
+  });
+  
+  room.movedPlayers.add(player.id);
+}
+
+function getBlockingWalls(room) {
+  const walls = maps[room.gameState.map].walls;
+  const sabotage = room.gameState.sabotage;
+  return sabotage && sabotage.type === 'doors' ? walls.concat(sabotage.doors) : walls;
+}
+
+function collidesWithWall(walls, x, y) {
+  // Slightly smaller than the client radius so edge contact is not rejected
+  const radius = PLAYER_RADIUS - 1;
+  
+  return walls.some(wall => {
+    const closestX = Math.max(wall.x, Math.min(x, wall.x + wall.width));
+    const closestY = Math.max(wall.y, Math.min(y, wall.y + wall.height));
+    const dx = x - closestX;
+    const dy = y - closestY;
+    return dx * dx + dy * dy < radius * radius;
+  });
+}
+
+/**
+ * Sample the straight line between two positions so a single large
+ * update cannot skip over a thin wall
+ */
+function isPathBlocked(room, fromX, fromY, toX, toY) {
+  const walls = getBlockingWalls(room);
+  const dx = toX - fromX;
+  const dy = toY - fromY;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const steps = Math.max(1, Math.ceil(distance / MOVE_SAMPLE_STEP));
+  
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    if (collidesWithWall(walls, fromX + dx * t, fromY + dy * t)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Players earn movement budget at their max speed while time passes and
+ * spend it as they move; a move larger than the budget is too fast
+ */
+function consumeMoveBudget(room, player, distance) {
+  const speed = room.settings.playerSpeed;
+  const now = Date.now();
+  const elapsed = now - player.lastMoveAt;
+  player.lastMoveAt = now;
+  player.moveBudget = Math.min(
+    MAX_MOVE_BUDGET * speed,
+    player.moveBudget + (elapsed / 1000) * PLAYER_SPEED * speed * MOVE_SPEED_TOLERANCE
+  );
+  
+  if (distance > player.moveBudget) return false;
+  
+  player.moveBudget -= distance;
+  return true;
+}
+
+function emitToPlayer(player, event, payload) {
+  if (player.connected) {
+    io.to(player.socketId).emit(event, payload);
+  }
+}
+
+function segmentIntersectsRect(x1, y1, x2, y2, rect) {
+  // Liang-Barsky clipping of the segment against the rectangle
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const edges = [
+    [-dx, x1 - rect.x],
+    [dx, rect.x + rect.width - x1],
+    [-dy, y1 - rect.y],
+    [dy, rect.y + rect.height - y1]
+  ];
+  
+  let tMin = 0;
+  let tMax = 1;
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > tMax) return false;
+      tMin = Math.max(tMin, t);
+    } else {
+      if (t < tMin) return false;
+      tMax = Math.min(tMax, t);
+    }
+  }
+  return true;
+}
+
+function hasLineOfSight(room, x1, y1, x2, y2) {
+  return !getBlockingWalls(room).some(wall => segmentIntersectsRect(x1, y1, x2, y2, wall));
+}
+
+function getVisionRadius(room, viewer) {
+  const vision = isImposter(viewer) ? room.settings.imposterVision : room.settings.crewVision;
+  const sabotage = room.gameState.sabotage;
+  if (sabotage && sabotage.type === 'lights' && !getRole(viewer).lightsImmune) {
+    return LIGHTS_OUT_VISION_RADIUS * vision;
+  }
+  return VISION_RADIUS * vision;
+}
+
+function canSee(room, viewer, target) {
+  if (viewer.id === target.id) return true;
+  
+  // Positions only matter while players are walking around
+  if (room.gameState.phase !== PHASE.TASKS) return true;
+  
+  // Ghosts see everyone; nobody sees ghosts or players hiding in vents
+  if (!viewer.isAlive) return true;
+  if (!target.isAlive || target.inVent) return false;
+  
+  return canSeePoint(room, viewer, target.x, target.y);
+}
+
+// Whether a spot on the map is within the viewer's vision right now
+function canSeePoint(room, viewer, x, y) {
+  if (room.gameState.phase !== PHASE.TASKS || !viewer.isAlive) return true;
+  
+  const dx = viewer.x - x;
+  const dy = viewer.y - y;
+  const radius = getVisionRadius(room, viewer);
+  if (dx * dx + dy * dy > radius * radius) return false;
+  
+  return hasLineOfSight(room, viewer.x, viewer.y, x, y);
+}
+
+function getKnownBodies(room, viewer) {
+  if (!room.knownBodies.has(viewer.id)) {
+    room.knownBodies.set(viewer.id, new Set());
+  }
+  return room.knownBodies.get(viewer.id);
+}
+
+function getKnownDeaths(room, viewer) {
+  if (!room.knownDeaths.has(viewer.id)) {
+    room.knownDeaths.set(viewer.id, new Set());
+  }
+  return room.knownDeaths.get(viewer.id);
+}
+
+/**
+ * Whether the viewer has been told the player is dead - until then the
+ * player is shown to them as alive and in the living channel
+ */
+function knowsDeath(room, viewer, player) {
+  return player.isAlive ||
+    viewer.id === player.id ||
+    room.gameState.phase === PHASE.LOBBY ||
+    room.gameState.phase === PHASE.GAME_OVER ||
+    getKnownDeaths(room, viewer).has(player.id);
+}
+
+/**
+ * Tells one viewer about a death they did not know of yet, along with the
+ * ghost channel move that goes with it
+ */
+function revealDeath(room, viewer, victim, { killerId = null, body = null } = {}) {
+  const knownDeaths = getKnownDeaths(room, viewer);
+  if (knownDeaths.has(victim.id)) return;
+  
+  knownDeaths.add(victim.id);
+  if (body) {
+    getKnownBodies(room, viewer).add(victim.id);
+  }
+  emitToPlayer(viewer, 'playerKilled', { playerId: victim.id, killerId, body });
+  emitToPlayer(viewer, 'channelChanged', { playerId: victim.id, channel: victim.channel });
+}
+
+function knowsRole(room, viewer, target) {
+  const viewerRole = getRole(viewer);
+  return viewer.id === target.id ||
+    room.gameState.phase === PHASE.GAME_OVER ||
+    (viewerRole.seesTeam && viewerRole.team === getRole(target).team);
+}
+
+/**
+ * Player data as seen by one viewer - hides roles they should not know
+ * and positions they cannot see
+ */
+function serializePlayer(room, player, viewer) {
+  const visible = room.visibility.has(viewer.id)
+    ? room.visibility.get(viewer.id).has(player.id)
+    : canSee(room, viewer, player);
+  const roleKnown = knowsRole(room, viewer, player);
+  const deathKnown = knowsDeath(room, viewer, player);
+  
+  return {
+    id: player.id,
+    socketId: player.socketId,
+    name: player.name,
+    color: player.color,
+    role: roleKnown ? player.role : null,
+    isAlive: deathKnown ? player.isAlive : true,
+    x: visible ? player.x : null,
+    y: visible ? player.y : null,
+    visible,
+    completedTasks: roleKnown ? player.completedTasks : 0,
+    inVent: player.id === viewer.id ? player.inVent : null,
+    visualTask: visible ? player.visualTask || null : null,
+    connected: player.connected,
+    peerId: player.peerId,
+    channel: deathKnown ? player.channel : CHANNEL.LIVING
+  };
+}
+
+function getKnownImposters(room, viewer) {
+  return isImposter(viewer) && getRole(viewer).seesTeam ? room.gameState.imposters : [];
+}
+
+// Recompute every viewer's visible set without notifying anyone
+function resetVisibility(room) {
+  room.visibility = new Map();
+  room.players.forEach((viewer) => {
+    const visible = new Set();
+    room.players.forEach((target) => {
+      if (canSee(room, viewer, target)) {
+        visible.add(target.id);
+      }
+    });
+    room.visibility.set(viewer.id, visible);
+  });
+}
+
+/**
+ * One server tick: work out what each player can see now and send them a
+ * single snapshot with the positions that changed or came into view, the
+ * players that dropped out of view, and an ack of their own latest input
+ */
+function broadcastSnapshots(room) {
+  if (room.gameState.phase !== PHASE.TASKS) return;
+  
+  const serverTime = Date.now();
+  
+  room.players.forEach((viewer) => {
+    const visible = room.visibility.get(viewer.id) || new Set([viewer.id]);
+    const positions = [];
+    const hidden = [];
+    const visuals = [];
+    const bodies = [];
+    
+    room.players.forEach((target) => {
+      if (target.id === viewer.id) return;
+      
+      const wasVisible = visible.has(target.id);
+      if (canSee(room, viewer, target)) {
+        visible.add(target.id);
+        if (!wasVisible || room.movedPlayers.has(target.id)) {
+          // [id, x, y] tuples keep the payload small
+          positions.push([target.id, Math.round(target.x), Math.round(target.y)]);
+        }
+        // Catch up on visual tasks already running when they came into view
+        if (!wasVisible && target.visualTask) {
+          visuals.push([target.id, target.visualTask]);
+        }
+      } else if (wasVisible) {
+        visible.delete(target.id);
+        hidden.push(target.id);
+      }
+    });
+    
+    room.visibility.set(viewer.id, visible);
+    
+    // Bodies are only revealed once they come into view
+    const knownBodies = getKnownBodies(room, viewer);
+    room.gameState.bodies.forEach((body) => {
+      if (!knownBodies.has(body.playerId) && canSeePoint(room, viewer, body.x, body.y)) {
+        const victim = room.players.get(body.playerId);
+        if (victim && !getKnownDeaths(room, viewer).has(victim.id)) {
+          // Finding the body is how this viewer learns of the death
+          revealDeath(room, viewer, victim, { body });
+        } else {
+          knownBodies.add(body.playerId);
+          bodies.push(body);
+        }
+      }
+    });
+    
+    // Acknowledge the newest movement input along with the resulting position
+    let ack = null;
+    if (viewer.lastProcessedInput !== viewer.lastAckedInput) {
+      viewer.lastAckedInput = viewer.lastProcessedInput;
+      ack = { seq: viewer.lastProcessedInput, x: viewer.x, y: viewer.y };
+    }
+    
+    if (positions.length > 0 || hidden.length > 0 || visuals.length > 0 || bodies.length > 0 || ack) {
+      emitToPlayer(viewer, 'snapshot', { serverTime, positions, hidden, visuals, bodies, ack });
+    }
+  });
+  
+  room.movedPlayers.clear();
+}
+
+function startGameLoop(room) {
+  stopGameLoop(room);
+  room.movedPlayers.clear();
+  room.tickTimer = setInterval(() => broadcastSnapshots(room), 1000 / room.settings.tickRate);
+}
+
+function stopGameLoop(room) {
+  clearInterval(room.tickTimer);
+  room.tickTimer = null;
+}
+
+// Everything a rejoining client needs to rebuild its view of the game
+function buildGameSnapshot(room, player) {
+  return {
+    roomCode: room.code,
+    playerId: player.id,
+    phase: room.gameState.phase,
+    map: room.gameState.map,
+    host: room.host,
+    settings: room.settings,
+    players: Array.from(room.players.values()).map(p => serializePlayer(room, p, player)),
+    localPlayer: serializePlayer(room, player, player),
+    tasks: room.gameState.tasks.filter(t => t.assignedTo === player.id),
+    imposters: getKnownImposters(room, player),
+    roleInfo: describeRole(player),
+    gameplay: describeGameplay(room, player),
+    bodies: room.gameState.bodies.filter(body => getKnownBodies(room, player).has(body.playerId)),
+    sabotage: serializeSabotage(room.gameState.sabotage),
+    taskProgress: getShownTaskProgress(room),
+    totalTasks: room.gameState.totalTasks,
+    taskBar: room.settings.taskBar,
+    tickRate: room.settings.tickRate,
+    voiceRoutes: getVoiceRoutes(room),
+    chatHistory: getChatHistory(room, player),
+    lastProcessedInput: player.lastProcessedInput,
+    meeting: room.gameState.meetingActive ? {
+      type: room.gameState.meetingType,
+      phase: room.gameState.meetingPhase,
+      phaseEndsAt: room.gameState.meetingPhaseEndsAt,
+      voted: room.gameState.votes[player.id] !== undefined
+    } : null,
+    serverTime: Date.now()
+  };
+}
+
+function removePlayer(room, playerId) {
+  const player = room.players.get(playerId);
+  if (!player) return;
+  
+  clearTimeout(room.disconnectTimers.get(playerId));
+  room.disconnectTimers.delete(playerId);
+  room.sessionTokens.delete(playerId);
+  room.chatRateLimits.delete(playerId);
+  room.players.delete(playerId);
+  room.visibility.delete(playerId);
+  room.visibility.forEach(visible => visible.delete(playerId));
+  
+  // Notify others
+  io.to(room.code).emit('playerLeft', { playerId });
+  
+  // If host left, assign new host or dissolve room
+  if (room.host === player.socketId) {
+    const connectedPlayers = Array.from(room.players.values()).filter(p => p.connected);
+    if (connectedPlayers.length > 0) {
+      const newHost = connectedPlayers[0];
+      room.host = newHost.socketId;
+      io.to(room.code).emit('hostChanged', { newHostId: newHost.id });
+    }
+  }
+  
+  if (room.players.size === 0) {
+    clearTimeout(room.meetingTimer);
+    clearTimeout(room.sabotageTimer);
+    stopGameLoop(room);
+    room.disconnectTimers.forEach(timer => clearTimeout(timer));
+    rooms.delete(room.code);
+    console.log(`Room ${room.code} dissolved`);
+    return;
+  }
+  
+  // If game in progress and player was alive, handle appropriately
+  if (room.gameState.phase !== PHASE.LOBBY && room.gameState.phase !== PHASE.GAME_OVER) {
+    // Their tasks leave with them, dead or alive, so the crew can still win
+    const { completed, total } = getTaskProgress(room);
+    room.gameState.taskProgress = completed;
+    room.gameState.totalTasks = total;
+    io.to(room.code).emit('taskProgressUpdated', {
+      progress: getShownTaskProgress(room),
+      totalTasks: total
+    });
+    
+    if (player.isAlive) {
+      if (isImposter(player)) {
+        room.gameState.imposters = room.gameState.imposters.filter(id => id !== playerId);
+      } else {
+        room.gameState.crewmates = room.gameState.crewmates.filter(id => id !== playerId);
+      }
+    }
+    
+    if (!checkWinConditions(room) && room.gameState.meetingActive && allLivingPlayersVoted(room)) {
+      endMeeting(room);
+    }
+  }
+}
+
+// Returns a clean copy of an SDP offer/answer, or null if it is malformed
+function sanitizeSessionDescription(description, expectedType) {
+  if (!description || typeof description !== 'object') return null;
+  if (description.type !== expectedType) return null;
+  if (typeof description.sdp !== 'string') return null;
+  if (description.sdp.length === 0 || description.sdp.length > MAX_SDP_LENGTH) return null;
+  if (!description.sdp.startsWith('v=0')) return null;
+  
+  return { type: description.type, sdp: description.sdp };
+}
+
+// Returns a clean copy of an ICE candidate, or null if it is malformed
+function sanitizeIceCandidate(candidate) {
+  if (!candidate || typeof candidate !== 'object') return null;
+  if (typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_ICE_CANDIDATE_LENGTH) return null;
+  if (candidate.sdpMid != null && (typeof candidate.sdpMid !== 'string' || candidate.sdpMid.length > 64)) return null;
+  if (candidate.sdpMLineIndex != null && !Number.isInteger(candidate.sdpMLineIndex)) return null;
+  
+  return {
+    candidate: candidate.candidate,
+    sdpMid: candidate.sdpMid != null ? candidate.sdpMid : null,
+    sdpMLineIndex: candidate.sdpMLineIndex != null ? candidate.sdpMLineIndex : null
+  };
+}
+
+function validationError(code, field, message) {
+  return { error: { code, field, message: `${field || 'Payload'} ${message}` } };
+}
+
+/**
+ * Checks a value against a schema rule. Returns { value } with a clean copy
+ * (objects keep only their declared fields) or { error: { code, field, message } }.
+ */
+function validateValue(rule, value, field = null) {
+  if (value === undefined || (value === null && rule.nullable)) {
+    if (value === undefined && rule.required) {
+      return validationError(ERROR_CODE.MISSING_FIELD, field, 'is required');
+    }
+    return { value };
+  }
+  
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return validationError(ERROR_CODE.INVALID_PAYLOAD, field, 'must be a string');
+      }
+      if ((rule.minLength !== undefined && value.length < rule.minLength) ||
+          (rule.maxLength !== undefined && value.length > rule.maxLength)) {
+        return validationError(ERROR_CODE.OUT_OF_RANGE, field, `must be ${rule.minLength || 0}-${rule.maxLength} characters`);
+      }
+      if (rule.values && !rule.values.includes(value)) {
+        return validationError(ERROR_CODE.INVALID_VALUE, field, `must be one of: ${rule.values.join(', ')}`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return validationError(ERROR_CODE.INVALID_VALUE, field, 'has an invalid format');
+      }
+      return { value };
+    
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return validationError(ERROR_CODE.INVALID_PAYLOAD, field, `must be a${rule.type === 'integer' ? 'n integer' : ' number'}`);
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return validationError(ERROR_CODE.OUT_OF_RANGE, field, `must be between ${rule.min} and ${rule.max}`);
+      }
+      return { value };
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return validationError(ERROR_CODE.INVALID_PAYLOAD, field, 'must be true or false');
+      }
+      return { value };
+    
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return validationError(ERROR_CODE.INVALID_PAYLOAD, field, 'must be an object');
+      }
+      if (!rule.fields) return { value };
+      
+      const unknown = Object.keys(value).find(key => !Object.prototype.hasOwnProperty.call(rule.fields, key));
+      if (unknown) {
+        return validationError(ERROR_CODE.UNKNOWN_FIELD, field ? `${field}.${unknown}` : unknown, 'is not allowed');
+      }
+      
+      const clean = {};
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        const result = validateValue(fieldRule, value[key], field ? `${field}.${key}` : key);
+        if (result.error) return result;
+        if (result.value !== undefined) clean[key] = result.value;
+      }
+      return { value: clean };
+    }
+    
+    default:
+      return validationError(ERROR_CODE.INVALID_PAYLOAD, field, 'has an unsupported type');
+  }
+}
+
+// Returns an error message for names nobody should be able to pick, or null
+function checkPlayerName(name) {
+  if (name.length === 0) return 'Player name cannot be empty';
+  
+  // Check for malicious content
+  const offensivePatterns = /<script|javascript:|data:/i;
+  if (offensivePatterns.test(name)) return 'Invalid player name';
+  
+  return null;
+}
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+  // Validate every payload against its schema before the handler sees it,
+  // and hand the handler the cleaned copy
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return next();
+    
+    const result = validateValue(schema, payload);
+    if (!result.error) {
+      packet[1] = result.value;
+      return next();
+    }
+    
+    const callback = packet[packet.length - 1];
+    if (typeof callback === 'function') {
+      callback({ success: false, ...result.error });
+    }
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`Rejected ${event} from ${socket.id}: ${result.error.message}`);
+    }
+  });
+  
+  console.log(`Player connected: ${socket.id}`);
+  
+  // Create room
+  socket.on('createRoom', (settings, callback) => {
+    const room = createRoom(socket.id, settings);
+    socket.join(room.code);
+    
+    if (typeof callback === 'function') {
+      callback({ 
+        success: true, 
+        roomCode: room.code,
+        settings: room.settings
+      });
+    }
+    
+    // Also emit the room code to all sockets in the room
+    socket.to(room.code).emit('roomCreated', { roomCode: room.code });
+    
+    console.log(`Room created: ${room.code}`);
+  });
+  
+  // The host takes everyone from the game over screen back to the lobby
+  socket.on('returnToLobby', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a room' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (room.gameState.phase !== PHASE.GAME_OVER && room.gameState.phase !== PHASE.LOBBY) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Game already in progress' });
+      }
+      return;
+    }
+    
+    if (room.gameState.phase === PHASE.GAME_OVER) {
+      if (room.host !== socket.id) {
+        if (typeof callback === 'function') {
+          callback({ success: false, message: 'Waiting for the host to return to the lobby' });
+        }
+        return;
+      }
+      
+      returnRoomToLobby(room);
+      room.players.forEach((p) => {
+        emitToPlayer(p, 'lobbyReopened', getLobbyState(room, p));
+      });
+    } else {
+      // Already reopened - just catch this player up
+      emitToPlayer(player, 'lobbyReopened', getLobbyState(room, player));
+    }
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+  });
+  
+  // Host changes the rules before the game starts
+  socket.on('updateSettings', (changes, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a room' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    
+    if (room.host !== socket.id) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Only host can change settings' });
+      }
+      return;
+    }
+    
+    if (room.gameState.phase !== PHASE.LOBBY) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Settings can only change in the lobby' });
+      }
+      return;
+    }
+    
+    if (changes.maxPlayers !== undefined && changes.maxPlayers < room.players.size) {
+      if (typeof callback === 'function') {
+        callback({
+          success: false,
+          code: ERROR_CODE.OUT_OF_RANGE,
+          field: 'maxPlayers',
+          message: `Room already has ${room.players.size} players`
+        });
+      }
+      return;
+    }
+    
+    // Fields left out keep their current value
+    room.settings = buildSettings({
+      ...room.settings,
+      ...changes,
+      roleCounts: { ...room.settings.roleCounts, ...changes.roleCounts }
+    });
+    room.gameState.map = room.settings.map;
+    
+    io.to(room.code).emit('settingsUpdated', { settings: room.settings });
+    
+    if (typeof callback === 'function') {
+      callback({ success: true, settings: room.settings });
+    }
+  });
+  
+  // Join room
+  socket.on('joinRoom', ({ roomCode, playerName, color }, callback) => {
+    const room = rooms.get(roomCode.toUpperCase());
+    
+    if (!room) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Room not found' });
+      }
+      return;
+    }
+    
+    if (room.players.size >= room.settings.maxPlayers) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Room is full' });
+      }
+      return;
+    }
+    
+    if (room.gameState.phase !== PHASE.LOBBY) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Game already in progress' });
+      }
+      return;
+    }
+    
+    // Validate and sanitize player name
+    const sanitizedName = playerName.trim().slice(0, PLAYER_NAME_MAX_LENGTH);
+    const nameError = checkPlayerName(sanitizedName);
+    if (nameError) {
+      if (typeof callback === 'function') {
+        callback({ success: false, code: ERROR_CODE.INVALID_VALUE, field: 'playerName', message: nameError });
+      }
+      return;
+    }
+    
+    const playerId = uuidv4();
+    const player = {
+      id: playerId,
+      socketId: socket.id,
+      name: sanitizedName,
+      color: color || PLAYER_COLORS[room.players.size % PLAYER_COLORS.length],
+      role: 'crewmate',
+      isAlive: true,
+      x: 800 + (Math.random() - 0.5) * 200,
+      y: 600 + (Math.random() - 0.5) * 200,
+      completedTasks: 0,
+      votedFor: null,
+      connected: true,
+      peerId: null, // For WebRTC voice
+      channel: CHANNEL.LIVING
+    };
+    
+    const sessionToken = uuidv4();
+    room.players.set(playerId, player);
+    room.sessionTokens.set(playerId, sessionToken);
+    playerSockets.set(socket.id, { roomCode: room.code, playerId });
+    socket.join(room.code);
+    
+    // Notify others
+    room.players.forEach((p) => {
+      if (p.id !== playerId) {
+        emitToPlayer(p, 'playerJoined', serializePlayer(room, player, p));
+      }
+    });
+    
+    // Send current players to new player
+    socket.emit('roomJoined', {
+      success: true,
+      playerId,
+      sessionToken,
+      roomCode: room.code,
+      players: Array.from(room.players.values()).map(p => serializePlayer(room, p, player)),
+      host: room.host,
+      settings: room.settings,
+      map: room.gameState.map,
+      chatHistory: getChatHistory(room, player)
+    });
+    
+    if (typeof callback === 'function') {
+      callback({ success: true, playerId });
+    }
+    
+    console.log(`Player ${player.name} joined room ${room.code}`);
+  });
+  
+  // Update player info (name, color)
+  socket.on('updatePlayer', (changes, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a room' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Player not found' });
+      }
+      return;
+    }
+    
+    // Only the whitelisted fields from the schema can change
+    const updates = {};
+    if (changes.name !== undefined) {
+      const name = changes.name.trim();
+      const nameError = checkPlayerName(name);
+      if (nameError) {
+        if (typeof callback === 'function') {
+          callback({ success: false, code: ERROR_CODE.INVALID_VALUE, field: 'name', message: nameError });
+        }
+        return;
+      }
+      updates.name = name;
+    }
+    if (changes.color !== undefined) {
+      updates.color = changes.color;
+    }
+    
+    Object.assign(player, updates);
+    
+    // Notify others
+    socket.to(data.roomCode).emit('playerUpdated', { playerId: data.playerId, updates });
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+  });
+  
+  // Voice: Set peer ID
+  socket.on('setPeerId', (peerId) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (player) {
+      player.peerId = peerId;
+      io.to(data.roomCode).emit('peerIdUpdated', { playerId: data.playerId, peerId });
+    }
+  });
+  
+  // Voice: relay WebRTC signaling to a single player in the sender's room
+  function relayVoiceSignal(event, payload, field, sanitize) {
+    const data = playerSockets.get(socket.id);
+    if (!data || !payload || typeof payload !== 'object') return;
+    
+    const room = rooms.get(data.roomCode);
+    if (!room) return;
+    
+    const sender = room.players.get(data.playerId);
+    const target = room.players.get(payload.targetPlayerId);
+    
+    // Only relay between two different players in the same room
+    if (!sender || !target || target.id === sender.id) return;
+    
+    const value = sanitize(payload[field]);
+    if (!value) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`Dropped malformed ${event} from ${sender.name} in room ${data.roomCode}`);
+      }
+      return;
+    }
+    
+    io.to(target.socketId).emit(event, {
+      fromPlayerId: sender.id,
+      fromPeerId: sender.peerId,
+      [field]: value
+    });
+  }
+  
+  socket.on('voiceOffer', (payload) => {
+    relayVoiceSignal('voiceOffer', payload, 'offer', (offer) => sanitizeSessionDescription(offer, 'offer'));
+  });
+  
+  socket.on('voiceAnswer', (payload) => {
+    relayVoiceSignal('voiceAnswer', payload, 'answer', (answer) => sanitizeSessionDescription(answer, 'answer'));
+  });
+  
+  socket.on('iceCandidate', (payload) => {
+    relayVoiceSignal('iceCandidate', payload, 'candidate', sanitizeIceCandidate);
+  });
+  
+  // Get voice peers in room
+  socket.on('getVoicePeers', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a room' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    const peers = [];
+    const viewer = room.players.get(data.playerId);
+    
+    // Everyone stays connected; clients route audio by channel
+    room.players.forEach((player) => {
+      if (player.id !== data.playerId && player.peerId) {
+        peers.push({
+          playerId: player.id,
+          peerId: player.peerId,
+          name: player.name,
+          channel: knowsDeath(room, viewer, player) ? player.channel : CHANNEL.LIVING
+        });
+      }
+    });
+    
+    if (typeof callback === 'function') {
+      callback({ success: true, peers });
+    }
+  });
+  
+  // Start game
+  socket.on('startGame', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a room' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    
+    if (room.host !== socket.id) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Only host can start game' });
+      }
+      return;
+    }
+    
+    if (room.gameState.phase !== PHASE.LOBBY) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Game already in progress' });
+      }
+      return;
+    }
+    
+    if (room.players.size < 4) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Need at least 4 players' });
+      }
+      return;
+    }
+    
+    if (room.settings.imposterCount > getMaxImposters(room.players.size)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: `Too many imposters for ${room.players.size} players` });
+      }
+      return;
+    }
+    
+    resetGame(data.roomCode);
+    
+    // Each player only learns their own role, tasks and what they can see
+    room.players.forEach((viewer) => {
+      emitToPlayer(viewer, 'gameStarted', {
+        players: Array.from(room.players.values()).map(p => serializePlayer(room, p, viewer)),
+        tasks: room.gameState.tasks.filter(t => t.assignedTo === viewer.id),
+        imposters: getKnownImposters(room, viewer),
+        roleInfo: describeRole(viewer),
+        gameplay: describeGameplay(room, viewer),
+        totalTasks: room.gameState.totalTasks,
+        taskBar: room.settings.taskBar,
+        tickRate: room.settings.tickRate,
+        voiceRoutes: getVoiceRoutes(room)
+      });
+    });
+    
+    startGameLoop(room);
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+    
+    console.log(`Game started in room ${data.roomCode}`);
+  });
+  
+  // Player movement
+  socket.on('playerMove', (movement) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !movement || !Number.isInteger(movement.seq)) return;
+    
+    // Inputs are numbered by the client; stale or duplicate ones are dropped
+    if (movement.seq <= player.lastProcessedInput) return;
+    
+    // Every input counts as processed so the client stops replaying it,
+    // even when it is ignored because the player cannot move right now
+    player.lastProcessedInput = movement.seq;
+    
+    if (player.inVent || room.gameState.phase !== PHASE.TASKS) return;
+    if (!Number.isFinite(movement.dx) || !Number.isFinite(movement.dy)) return;
+    
+    const mapConfig = maps[room.gameState.map];
+    const x = Math.max(0, Math.min(mapConfig.width, player.x + movement.dx));
+    const y = Math.max(0, Math.min(mapConfig.height, player.y + movement.dy));
+    const dx = x - player.x;
+    const dy = y - player.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    
+    // Reject moves that are too fast or pass through a wall, and snap the
+    // client back to the last accepted position. Ghosts drift through walls.
+    const blocked = player.isAlive && isPathBlocked(room, player.x, player.y, x, y);
+    if (!consumeMoveBudget(room, player, distance) || blocked) {
+      socket.emit('positionCorrection', { seq: movement.seq, x: player.x, y: player.y });
+      return;
+    }
+    
+    // Update position
+    player.x = x;
+    player.y = y;
+    
+    // Walking away from a task abandons it
+    if (player.activeTask) {
+      const task = room.gameState.tasks.find(t => t.id === player.activeTask.taskId && t.assignedTo === player.id);
+      if (!task || !isInTaskRange(player, task)) {
+        cancelActiveTask(room, player, 'You moved away from the task');
+      }
+    }
+    
+    // Sent to players who can see it on the next tick
+    room.movedPlayers.add(player.id);
+  });
+  
+  // Report body
+  socket.on('reportBody', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !player.isAlive || player.inVent || room.gameState.bodyReported) {
+      if (typeof callback === 'function') callback({ success: false, message: 'Cannot report body' });
+      return;
+    }
+    
+    // Check if player is near a dead body
+    const deadBodyNearby = room.gameState.bodies.some(body =>
+      Math.abs(body.x - player.x) < 60 && Math.abs(body.y - player.y) < 60
+    );
+    
+    if (!deadBodyNearby) {
+      if (typeof callback === 'function') callback({ success: false, message: 'No body nearby' });
+      return;
+    }
+    
+    room.gameState.bodyReported = true;
+    startMeeting(room, 'body', data.playerId);
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+  });
+  
+  // Emergency meeting with rate limiting
+  const emergencyRateLimit = new Map();
+  const EMERGENCY_COOLDOWN = 10000; // 10 seconds between emergency calls
+
+  socket.on('emergencyMeeting', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    // Check emergency rate limit
+    const now = Date.now();
+    const lastEmergency = emergencyRateLimit.get(socket.id) || 0;
+    if (now - lastEmergency < EMERGENCY_COOLDOWN) {
+      if (typeof callback === 'function') callback({ success: false, message: 'Emergency cooldown active' });
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !player.isAlive || room.gameState.emergencyCalled) {
+      if (typeof callback === 'function') callback({ success: false, message: 'Emergency cooldown active' });
+      return;
+    }
+    
+    const sabotage = room.gameState.sabotage;
+    if (sabotage && SABOTAGES[sabotage.type].critical) {
+      if (typeof callback === 'function') callback({ success: false, message: 'Cannot call a meeting during a crisis' });
+      return;
+    }
+    
+    emergencyRateLimit.set(socket.id, now);
+    
+    room.gameState.emergencyCalled = true;
+    startMeeting(room, 'emergency', data.playerId);
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+  });
+  
+  // Rate limiting for votes
+  const voteRateLimit = new Map();
+  const VOTE_COOLDOWN = 1000; // 1 second between votes
+
+  // Vote
+  socket.on('vote', (targetId, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    // Check rate limit
+    const now = Date.now();
+    const lastVote = voteRateLimit.get(socket.id) || 0;
+    if (now - lastVote < VOTE_COOLDOWN) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Vote too fast' });
       }
       return;
     }
     
     const room = rooms.get(data.roomCode);
-    const peers = [];
+    const player = room.players.get(data.playerId);
     
-    room.players.forEach((player) => {
-      if (player.id !== data.playerId && player.peerId && player.isAlive) {
-        peers.push({
-          playerId: player.id,
-          peerId: player.peerId,
-          name: player.name
+    if (!player || !player.isAlive || !room.gameState.meetingActive) return;
+    
+    if (room.gameState.meetingPhase !== MEETING_PHASE.VOTING) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Voting has not started' });
+      }
+      return;
+    }
+    
+    // Validate vote target
+    if (targetId !== 'skip' && targetId !== null) {
+      const targetPlayer = room.players.get(targetId);
+      if (!targetPlayer || !targetPlayer.isAlive) {
+        // Log suspicious activity for server-side monitoring
+        // This helps identify potential cheating attempts
+        if (process.env.NODE_ENV === 'development') {
+          console.warn(`Suspicious vote attempt from ${player.name} in room ${data.roomCode}: invalid target`);
+        }
+        if (typeof callback === 'function') {
+          callback({ success: false, message: 'Invalid vote target' });
+        }
+        return;
+      }
+    }
+    
+    voteRateLimit.set(socket.id, now);
+    
+    player.votedFor = targetId;
+    room.gameState.votes[player.id] = targetId;
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+    
+    if (allLivingPlayersVoted(room)) {
+      endMeeting(room);
+    }
+  });
+  
+  // Skip vote
+  socket.on('skipVote', (callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    // Check rate limit
+    const now = Date.now();
+    const lastVote = voteRateLimit.get(socket.id) || 0;
+    if (now - lastVote < VOTE_COOLDOWN) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Vote too fast' });
+      }
+      return;
+    }
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !player.isAlive || !room.gameState.meetingActive) return;
+    
+    if (room.gameState.meetingPhase !== MEETING_PHASE.VOTING) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Voting has not started' });
+      }
+      return;
+    }
+    
+    voteRateLimit.set(socket.id, now);
+    
+    player.votedFor = 'skip';
+    room.gameState.votes[player.id] = 'skip';
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+    
+    if (allLivingPlayersVoted(room)) {
+      endMeeting(room);
+    }
+  });
+  
+  // Start working on a task; the player must be standing at it
+  socket.on('startTask', (taskId, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    // Ghosts keep working on their tasks
+    if (!player || player.inVent || room.gameState.phase !== PHASE.TASKS) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Cannot do tasks right now' });
+      }
+      return;
+    }
+    
+    const task = room.gameState.tasks.find(t => t.id === taskId && t.assignedTo === player.id);
+    if (!task || task.completed) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Task not found' });
+      }
+      return;
+    }
+    
+    if (task.visual && isImposter(player)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Imposters cannot do visual tasks' });
+      }
+      return;
+    }
+    
+    if (!isInTaskRange(player, task)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Too far from the task' });
+      }
+      return;
+    }
+    
+    player.activeTask = { taskId: task.id, stage: task.stage, startedAt: Date.now() };
+    setVisualTask(room, player, task.visual);
+    
+    if (typeof callback === 'function') {
+      callback({ success: true, minDuration: TASK_MIN_DURATION[task.type] || 0 });
+    }
+  });
+  
+  // Complete task - only the stage started with startTask, once enough time has passed
+  socket.on('completeTask', (taskId, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || room.gameState.phase !== PHASE.TASKS) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Cannot do tasks right now' });
+      }
+      return;
+    }
+    
+    const task = room.gameState.tasks.find(t => t.id === taskId && t.assignedTo === player.id);
+    const activeTask = player.activeTask;
+    if (!task || task.completed || !activeTask || activeTask.taskId !== task.id || activeTask.stage !== task.stage) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Task was not started' });
+      }
+      return;
+    }
+    
+    if (!isInTaskRange(player, task)) {
+      cancelActiveTask(room, player, 'You moved away from the task');
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Too far from the task' });
+      }
+      return;
+    }
+    
+    if (Date.now() - activeTask.startedAt < (TASK_MIN_DURATION[task.type] || 0)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Task finished too quickly' });
+      }
+      return;
+    }
+    
+    player.activeTask = null;
+    setVisualTask(room, player, null);
+    advanceTask(task);
+    
+    // Fake tasks only move along on the imposter's own screen
+    if (task.fake) {
+      emitToPlayer(player, 'taskCompleted', {
+        playerId: player.id,
+        taskId,
+        task,
+        progress: getShownTaskProgress(room),
+        totalTasks: room.gameState.totalTasks
+      });
+      if (typeof callback === 'function') {
+        callback({ success: true });
+      }
+      return;
+    }
+    
+    if (task.completed) {
+      player.completedTasks++;
+    }
+    
+    room.gameState.taskProgress = getTaskProgress(room).completed;
+    
+    // Only the task owner learns who finished it and where the task goes
+    // next; a completed task proves a crewmate. Without a live task bar
+    // nobody else hears about it at all.
+    const liveTaskBar = room.settings.taskBar === TASK_BAR.ALWAYS;
+    room.players.forEach((p) => {
+      if (!liveTaskBar && p.id !== player.id) return;
+      
+      emitToPlayer(p, 'taskCompleted', {
+        playerId: p.id === player.id ? player.id : null,
+        taskId: p.id === player.id ? taskId : null,
+        task: p.id === player.id ? task : null,
+        progress: getShownTaskProgress(room),
+        totalTasks: room.gameState.totalTasks
+      });
+    });
+    
+    if (typeof callback === 'function') {
+      callback({ success: true });
+    }
+    
+    checkWinConditions(room);
+  });
+  
+  // Kill - imposters, and the sheriff who dies if they shoot a crewmate
+  socket.on('killPlayer', (targetId, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    const target = room.players.get(targetId);
+    
+    if (!player || !getRole(player).canKill || !player.isAlive || player.inVent || room.gameState.phase !== PHASE.TASKS) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Cannot kill' });
+      }
+      return;
+    }
+    
+    // Validate target exists, is alive and out in the open; imposters never kill each other
+    if (!target || !target.isAlive || target.inVent || target.id === player.id || (isImposter(player) && isImposter(target))) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Invalid target' });
+      }
+      return;
+    }
+    
+    // Check kill cooldown
+    if (getCooldownRemaining(player, 'kill') > 0) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Kill cooldown active' });
+      }
+      return;
+    }
+    
+    const dx = player.x - target.x;
+    const dy = player.y - target.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    
+    if (distance > KILL_DISTANCES[room.settings.killDistance]) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Target too far' });
+      }
+      return;
+    }
+    
+    const role = getRole(player);
+    const killCooldown = role.killCooldown === null || role.killCooldown === undefined
+      ? room.settings.killCooldown
+      : role.killCooldown;
+    startCooldown(player, 'kill', killCooldown);
+    
+    // A guardian angel's shield stops the kill but still costs the cooldown
+    if (target.shieldedUntil > Date.now()) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Target is protected' });
+      }
+      return;
+    }
+    
+    // A misfire kills the shooter instead
+    const misfire = !!role.misfire && !isImposter(target);
+    const victim = misfire ? player : target;
+    
+    victim.isAlive = false;
+    victim.channel = CHANNEL.GHOST;
+    
+    const body = { playerId: victim.id, x: victim.x, y: victim.y };
+    room.gameState.bodies.push(body);
+    
+    // The victim, the killer's team, ghosts and anyone who can see the spot
+    // learn of the death now; everyone else when the body comes into view
+    // or a meeting is called. Only the victim and the killer's imposter
+    // teammates learn who did it.
+    room.players.forEach((p) => {
+      const knowsKiller = p.id === victim.id || (isImposter(p) && isImposter(player));
+      const seesBody = p.id === victim.id || p.id === player.id || canSeePoint(room, p, body.x, body.y);
+      if (seesBody || knowsKiller || !p.isAlive) {
+        revealDeath(room, p, victim, {
+          killerId: knowsKiller ? player.id : null,
+          body: seesBody ? body : null
         });
       }
     });
     
+    checkWinConditions(room);
+    
     if (typeof callback === 'function') {
-      callback({ success: true, peers });
+      callback({ success: true, misfire });
     }
   });
   
-  // Start game
-  socket.on('startGame', (callback) => {
+  // Scientist - see who is alive from anywhere on the map
+  socket.on('checkVitals', (callback) => {
     const data = playerSockets.get(socket.id);
-    if (!data) {
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    const vitals = player ? getRole(player).vitals : null;
+    
+    if (!vitals || !player.isAlive || room.gameState.phase !== PHASE.TASKS) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Cannot check vitals' });
+      }
+      return;
+    }
+    
+    const remaining = getCooldownRemaining(player, 'vitals');
+    if (remaining > 0) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: `Vitals recharging (${remaining}s)` });
+      }
+      return;
+    }
+    
+    startCooldown(player, 'vitals', vitals.cooldown);
+    
+    if (typeof callback === 'function') {
+      callback({
+        success: true,
+        cooldown: vitals.cooldown,
+        vitals: Array.from(room.players.values()).map(p => ({
+          id: p.id,
+          name: p.name,
+          color: p.color,
+          isAlive: p.isAlive
+        }))
+      });
+    }
+  });
+  
+  // Guardian angel - a ghost shields a living player from kills for a while
+  socket.on('shieldPlayer', (targetId, callback) => {
+    const data = playerSockets.get(socket.id);
+    if (!data) return;
+    
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    const target = room.players.get(targetId);
+    const shield = player ? getRole(player).shield : null;
+    
+    if (!shield || player.isAlive || room.gameState.phase !== PHASE.TASKS) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Not in a room' });
+        callback({ success: false, message: 'Cannot shield' });
       }
       return;
     }
     
-    const room = rooms.get(data.roomCode);
-    
-    if (room.host !== socket.id) {
+    if (!target || !target.isAlive) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Only host can start game' });
+        callback({ success: false, message: 'Invalid target' });
       }
       return;
     }
     
-    if (room.players.size < 4) {
+    const remaining = getCooldownRemaining(player, 'shield');
+    if (remaining > 0) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Need at least 4 players' });
+        callback({ success: false, message: `Shield recharging (${remaining}s)` });
       }
       return;
     }
     
-    resetGame(data.roomCode);
+    const dx = player.x - target.x;
+    const dy = player.y - target.y;
+    if (Math.sqrt(dx * dx + dy * dy) > SHIELD_RANGE) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Target too far' });
+      }
+      return;
+    }
     
-    // Notify all players
-    io.to(data.roomCode).emit('gameStarted', {
-      players: Array.from(room.players.values()),
-      tasks: room.gameState.tasks,
-      imposters: room.gameState.imposters,
-      totalTasks: room.gameState.totalTasks
-    });
+    target.shieldedUntil = Date.now() + shield.duration * 1000;
+    startCooldown(player, 'shield', shield.cooldown);
     
     if (typeof callback === 'function') {
-      callback({ success: true });
+      callback({ success: true, duration: shield.duration, cooldown: shield.cooldown });
     }
-    
-    console.log(`Game started in room ${data.roomCode}`);
-  });
-  
-  // Player movement
-  socket.on('playerMove', (movement) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) return;
-    
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
-    
-    if (!player || !player.isAlive || room.gameState.phase !== PHASE.TASKS) return;
-    
-    // Update position
-    player.x = Math.max(0, Math.min(maps[room.gameState.map].width, movement.x));
-    player.y = Math.max(0, Math.min(maps[room.gameState.map].height, movement.y));
-    
-    // Broadcast to others
-    socket.to(data.roomCode).emit('playerMoved', {
-      playerId: data.playerId,
-      x: player.x,
-      y: player.y
-    });
   });
   
-  // Report body
-  socket.on('reportBody', (callback) => {
+  // Sabotage
+  socket.on('sabotage', (type, callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
     const room = rooms.get(data.roomCode);
     const player = room.players.get(data.playerId);
     
-    if (!player || !player.isAlive || room.gameState.bodyReported) {
-      if (typeof callback === 'function') callback({ success: false, message: 'Cannot report body' });
+    // Dead imposters can still sabotage from beyond
+    if (!player || !getRole(player).canSabotage) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Cannot sabotage' });
+      }
       return;
     }
     
-    // Check if player is near a dead body
-    const deadBodyNearby = Array.from(room.players.values()).some(p => 
-      !p.isAlive && p.role !== 'imposter' &&
-      Math.abs(p.x - player.x) < 60 && Math.abs(p.y - player.y) < 60
-    );
-    
-    if (!deadBodyNearby) {
-      if (typeof callback === 'function') callback({ success: false, message: 'No body nearby' });
+    if (!Object.prototype.hasOwnProperty.call(SABOTAGES, type)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Unknown sabotage' });
+      }
       return;
     }
     
-    room.gameState.bodyReported = true;
-    room.gameState.meetingActive = true;
-    room.gameState.phase = PHASE.MEETING;
+    if (room.gameState.phase !== PHASE.TASKS || room.gameState.sabotage) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Sabotage already active' });
+      }
+      return;
+    }
     
-    // Reset votes
-    room.gameState.votes = {};
-    room.players.forEach((p) => {
-      p.votedFor = null;
-    });
+    if (Date.now() < room.gameState.sabotageCooldownEndsAt) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Sabotage cooldown active' });
+      }
+      return;
+    }
     
-    io.to(data.roomCode).emit('meetingCalled', {
-      type: 'body',
-      reportedBy: data.playerId,
-      discussionTime: room.settings.discussionTime,
-      votingTime: room.settings.votingTime
-    });
+    startSabotage(room, type);
     
     if (typeof callback === 'function') {
       callback({ success: true });
     }
   });
   
-  // Emergency meeting with rate limiting
-  const emergencyRateLimit = new Map();
-  const EMERGENCY_COOLDOWN = 10000; // 10 seconds between emergency calls
-
-  socket.on('emergencyMeeting', (callback) => {
+  // Fix a sabotage at one of its stations
+  socket.on('fixSabotage', (stationId, callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
-    // Check emergency rate limit
-    const now = Date.now();
-    const lastEmergency = emergencyRateLimit.get(socket.id) || 0;
-    if (now - lastEmergency < EMERGENCY_COOLDOWN) {
-      if (typeof callback === 'function') callback({ success: false, message: 'Emergency cooldown active' });
-      return;
-    }
-    
     const room = rooms.get(data.roomCode);
     const player = room.players.get(data.playerId);
+    const sabotage = room.gameState.sabotage;
     
-    if (!player || !player.isAlive || room.gameState.emergencyCalled) {
-      if (typeof callback === 'function') callback({ success: false, message: 'Emergency cooldown active' });
+    if (!player || !player.isAlive || room.gameState.phase !== PHASE.TASKS || !sabotage) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Nothing to fix' });
+      }
       return;
     }
     
-    emergencyRateLimit.set(socket.id, now);
+    const station = sabotage.stations.find(s => s.id === stationId);
+    if (!station || station.fixed) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Invalid station' });
+      }
+      return;
+    }
     
-    room.gameState.emergencyCalled = true;
-    room.gameState.meetingActive = true;
-    room.gameState.phase = PHASE.MEETING;
+    const dx = player.x - station.x;
+    const dy = player.y - station.y;
+    if (Math.sqrt(dx * dx + dy * dy) > SABOTAGE_FIX_RANGE) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Station too far' });
+      }
+      return;
+    }
     
-    // Reset votes
-    room.gameState.votes = {};
-    room.players.forEach((p) => {
-      p.votedFor = null;
-    });
+    station.fixed = true;
     
-    io.to(data.roomCode).emit('meetingCalled', {
-      type: 'emergency',
-      calledBy: data.playerId,
-      discussionTime: room.settings.discussionTime,
-      votingTime: room.settings.votingTime
-    });
+    if (sabotage.stations.every(s => s.fixed)) {
+      resolveSabotage(room, data.playerId);
+    } else {
+      io.to(data.roomCode).emit('sabotageProgress', {
+        type: sabotage.type,
+        stationId
+      });
+    }
     
     if (typeof callback === 'function') {
       callback({ success: true });
     }
   });
   
-  // Rate limiting for votes
-  const voteRateLimit = new Map();
-  const VOTE_COOLDOWN = 1000; // 1 second between votes
-
-  // Vote
-  socket.on('vote', (targetId, callback) => {
+  // Enter a vent - living imposters only
+  socket.on('enterVent', (ventId, callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
-    // Check rate limit
-    const now = Date.now();
-    const lastVote = voteRateLimit.get(socket.id) || 0;
-    if (now - lastVote < VOTE_COOLDOWN) {
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !getRole(player).canVent || !player.isAlive || room.gameState.phase !== PHASE.TASKS) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Vote too fast' });
+        callback({ success: false, message: 'Cannot use vents' });
       }
       return;
     }
     
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
+    if (player.inVent) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Already in a vent' });
+      }
+      return;
+    }
     
-    if (!player || !player.isAlive || !room.gameState.meetingActive) return;
+    const vent = findVent(room, ventId);
+    if (!vent) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Invalid vent' });
+      }
+      return;
+    }
     
-    // Validate vote target
-    if (targetId !== 'skip' && targetId !== null) {
-      const targetPlayer = room.players.get(targetId);
-      if (!targetPlayer || !targetPlayer.isAlive) {
-        // Log suspicious activity for server-side monitoring
-        // This helps identify potential cheating attempts
-        if (process.env.NODE_ENV === 'development') {
-          console.warn(`Suspicious vote attempt from ${player.name} in room ${data.roomCode}: invalid target`);
-        }
-        if (typeof callback === 'function') {
-          callback({ success: false, message: 'Invalid vote target' });
-        }
-        return;
+    const dx = player.x - vent.x;
+    const dy = player.y - vent.y;
+    if (Math.sqrt(dx * dx + dy * dy) > VENT_RANGE) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Vent too far' });
       }
+      return;
     }
     
-    voteRateLimit.set(socket.id, now);
+    player.x = vent.x;
+    player.y = vent.y;
     
-    player.votedFor = targetId;
-    room.gameState.votes[player.id] = targetId;
+    // Only players who can see the vent notice someone jumping in
+    room.players.forEach((viewer) => {
+      if (canSee(room, viewer, player)) {
+        emitToPlayer(viewer, 'playerEnteredVent', {
+          playerId: player.id,
+          ventId: vent.id
+        });
+      }
+    });
+    
+    player.inVent = vent.id;
     
     if (typeof callback === 'function') {
-      callback({ success: true });
+      callback({ success: true, ventId: vent.id, x: vent.x, y: vent.y, connections: vent.connections });
     }
   });
   
-  // Skip vote
-  socket.on('skipVote', (callback) => {
+  // Travel to a connected vent - hidden from everyone else
+  socket.on('moveVent', (ventId, callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
-    // Check rate limit
-    const now = Date.now();
-    const lastVote = voteRateLimit.get(socket.id) || 0;
-    if (now - lastVote < VOTE_COOLDOWN) {
+    const room = rooms.get(data.roomCode);
+    const player = room.players.get(data.playerId);
+    
+    if (!player || !player.inVent || room.gameState.phase !== PHASE.TASKS) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Vote too fast' });
+        callback({ success: false, message: 'Not in a vent' });
       }
       return;
     }
     
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
-    
-    if (!player || !player.isAlive || !room.gameState.meetingActive) return;
-    
-    voteRateLimit.set(socket.id, now);
+    const current = findVent(room, player.inVent);
+    const vent = findVent(room, ventId);
+    if (!vent || !current.connections.includes(vent.id)) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Vents are not connected' });
+      }
+      return;
+    }
     
-    player.votedFor = 'skip';
-    room.gameState.votes[player.id] = 'skip';
+    player.inVent = vent.id;
+    player.x = vent.x;
+    player.y = vent.y;
     
     if (typeof callback === 'function') {
-      callback({ success: true });
+      callback({ success: true, ventId: vent.id, x: vent.x, y: vent.y, connections: vent.connections });
     }
   });
   
-  // Complete task
-  socket.on('completeTask', (taskId, callback) => {
+  // Climb out of the current vent
+  socket.on('exitVent', (callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
     const room = rooms.get(data.roomCode);
     const player = room.players.get(data.playerId);
     
-    if (!player || !player.isAlive || player.role === 'imposter') return;
-    
-    const task = room.gameState.tasks.find(t => t.id === taskId && t.assignedTo === player.id);
-    if (task && !task.completed) {
-      task.completed = true;
-      player.completedTasks++;
-      
-      const completedTasks = room.gameState.tasks.filter(t => t.completed && t.assignedTo !== 'imposter').length;
-      room.gameState.taskProgress = completedTasks;
-      
-      io.to(data.roomCode).emit('taskCompleted', {
-        playerId: data.playerId,
-        taskId,
-        progress: room.gameState.taskProgress,
-        totalTasks: room.gameState.totalTasks
-      });
-      
-      // Check win condition
-      if (room.gameState.taskProgress >= room.gameState.totalTasks) {
-        room.gameState.phase = PHASE.GAME_OVER;
-        io.to(data.roomCode).emit('gameOver', {
-          winners: 'crewmates',
-          reason: 'All tasks completed'
-        });
+    if (!player || !player.inVent) {
+      if (typeof callback === 'function') {
+        callback({ success: false, message: 'Not in a vent' });
       }
+      return;
     }
     
+    exitVent(room, player);
+    
     if (typeof callback === 'function') {
-      callback({ success: !!task });
+      callback({ success: true, x: player.x, y: player.y });
     }
   });
   
-  // Imposter kill
-  socket.on('killPlayer', (targetId, callback) => {
+  // Text chat - lobby and meetings only
+  socket.on('chatMessage', (text, callback) => {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
     const room = rooms.get(data.roomCode);
     const player = room.players.get(data.playerId);
-    const target = room.players.get(targetId);
+    if (!player) return;
     
-    if (!player || player.role !== 'imposter' || !player.isAlive) {
+    const phase = room.gameState.phase;
+    if (phase === PHASE.TASKS) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Cannot kill' });
+        callback({ success: false, message: 'Chat is only available in the lobby and during meetings' });
       }
       return;
     }
     
-    // Validate target exists and is alive
-    if (!target || !target.isAlive || target.role === 'imposter') {
+    const sanitizedText = sanitizeChatText(text);
+    if (sanitizedText.length === 0 || sanitizedText.length > CHAT_MAX_LENGTH) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Invalid target' });
+        callback({ success: false, message: `Messages must be 1-${CHAT_MAX_LENGTH} characters` });
       }
       return;
     }
     
-    // Check kill cooldown
-    const cooldown = room.gameState.imposterKillCooldowns[player.id] || 0;
-    if (Date.now() / 1000 - cooldown < room.settings.killCooldown) {
+    if (!allowChatMessage(room, player.id)) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Kill cooldown active' });
+        callback({ success: false, message: 'You are sending messages too quickly' });
       }
       return;
     }
     
-    // Check distance (simplified - should check actual distance on server)
-    const dx = player.x - target.x;
-    const dy = player.y - target.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    const message = {
+      id: uuidv4(),
+      playerId: player.id,
+      name: player.name,
+      color: player.color,
+      text: sanitizedText,
+      // Lobby chat is open to everyone; meetings use the sender's channel
+      channel: phase === PHASE.MEETING ? player.channel : null,
+      timestamp: Date.now()
+    };
     
-    if (distance > 150) {
-      if (typeof callback === 'function') {
-        callback({ success: false, message: 'Target too far' });
-      }
-      return;
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > CHAT_HISTORY_LIMIT) {
+      room.chatHistory.shift();
     }
     
-    // Kill the target
-    target.isAlive = false;
-    room.gameState.imposterKillCooldowns[player.id] = Date.now() / 1000;
-    
-    io.to(data.roomCode).emit('playerKilled', {
-      playerId: targetId,
-      killerId: data.playerId
-    });
-    
-    // Check if only imposters remain
-    const aliveImposters = room.gameState.imposters.filter(id => {
-      const p = room.players.get(id);
-      return p && p.isAlive;
-    });
-    
-    const aliveCrewmates = room.gameState.crewmates.filter(id => {
-      const p = room.players.get(id);
-      return p && p.isAlive;
+    room.players.forEach((p) => {
+      if (canReceiveChat(room, p, message)) {
+        emitToPlayer(p, 'chatMessage', message);
+      }
     });
     
-    if (aliveImposters.length >= aliveCrewmates.length) {
-      room.gameState.phase = PHASE.GAME_OVER;
-      io.to(data.roomCode).emit('gameOver', {
-        winners: 'imposters',
-        reason: 'Imposters outnumber crewmates'
-      });
-    }
-    
     if (typeof callback === 'function') {
       callback({ success: true });
     }
   });
   
-  // Sabotage
-  socket.on('sabotage', (type, callback) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) return;
-    
-    const room = rooms.get(data.roomCode);
-    const player = room.players.get(data.playerId);
+  // Rejoin an in-progress game after a dropped connection
+  socket.on('rejoinGame', ({ roomCode, playerId, sessionToken } = {}, callback) => {
+    const room = rooms.get(String(roomCode || '').toUpperCase());
+    const player = room && room.players.get(playerId);
     
-    if (!player || player.role !== 'imposter' || !player.isAlive) {
+    if (!player || typeof sessionToken !== 'string' || room.sessionTokens.get(playerId) !== sessionToken) {
       if (typeof callback === 'function') {
-        callback({ success: false, message: 'Cannot sabotage' });
+        callback({ success: false, message: 'Cannot rejoin game' });
       }
       return;
     }
     
-    io.to(data.roomCode).emit('sabotageStarted', {
-      type,
-      imposterId: data.playerId
-    });
+    const oldSocketId = player.socketId;
     
-    if (typeof callback === 'function') {
-      callback({ success: true });
+    // The old connection may not have timed out yet; detach it first
+    if (oldSocketId !== socket.id && playerSockets.has(oldSocketId)) {
+      playerSockets.delete(oldSocketId);
+      const oldSocket = io.sockets.sockets.get(oldSocketId);
+      if (oldSocket) {
+        oldSocket.leave(room.code);
+        oldSocket.disconnect(true);
+      }
     }
-  });
-  
-  // End meeting
-  socket.on('endMeeting', (results) => {
-    const data = playerSockets.get(socket.id);
-    if (!data) return;
     
-    const room = rooms.get(data.roomCode);
+    clearTimeout(room.disconnectTimers.get(playerId));
+    room.disconnectTimers.delete(playerId);
     
-    room.gameState.meetingActive = false;
-    room.gameState.phase = PHASE.TASKS;
-    room.gameState.bodyReported = false;
-    room.gameState.emergencyCalled = false;
+    player.socketId = socket.id;
+    player.connected = true;
+    playerSockets.set(socket.id, { roomCode: room.code, playerId });
+    socket.join(room.code);
     
-    // Reset all votes
-    room.gameState.votes = {};
-    room.players.forEach((p) => {
-      p.votedFor = null;
-    });
+    if (room.host === oldSocketId) {
+      room.host = socket.id;
+    }
     
-    // Respawn all alive players at random spawn points
-    const mapConfig = maps[room.gameState.map];
-    room.players.forEach((player) => {
-      if (player.isAlive) {
-        const spawnPoint = mapConfig.spawnPoints[Math.floor(Math.random() * mapConfig.spawnPoints.length)];
-        player.x = spawnPoint.x + (Math.random() - 0.5) * 100;
-        player.y = spawnPoint.y + (Math.random() - 0.5) * 100;
-      }
-    });
+    socket.to(room.code).emit('playerReconnected', { playerId, socketId: socket.id });
     
-    io.to(data.roomCode).emit('meetingEnded', results);
+    if (typeof callback === 'function') {
+      callback({ success: true, ...buildGameSnapshot(room, player) });
+    }
+    
+    console.log(`Player ${player.name} rejoined room ${room.code}`);
   });
   
   // Leave room
   socket.on('leaveRoom', () => {
-    handleDisconnect(socket);
+    handleDisconnect(socket, false);
   });
   
   // Handle disconnect
   socket.on('disconnect', () => {
     console.log(`Player disconnected: ${socket.id}`);
-    handleDisconnect(socket);
+    handleDisconnect(socket, true);
   });
   
-  function handleDisconnect(socket) {
+  function handleDisconnect(socket, canRejoin) {
     const data = playerSockets.get(socket.id);
     if (!data) return;
     
+    playerSockets.delete(socket.id);
+    socket.leave(data.roomCode);
+    
     const room = rooms.get(data.roomCode);
     if (!room) return;
     
     const player = room.players.get(data.playerId);
+    if (!player) return;
     
-    // Remove player
-    room.players.delete(data.playerId);
-    playerSockets.delete(socket.id);
-    socket.leave(data.roomCode);
+    const gameInProgress = room.gameState.phase === PHASE.TASKS || room.gameState.phase === PHASE.MEETING;
     
-    // Notify others
-    socket.to(data.roomCode).emit('playerLeft', { playerId: data.playerId });
-    
-    // If host left, assign new host or dissolve room
-    if (room.host === socket.id) {
-      if (room.players.size > 0) {
-        const newHost = room.players.values().next().value;
-        room.host = newHost.socketId;
-        io.to(data.roomCode).emit('hostChanged', { newHostId: newHost.id });
-      } else {
-        rooms.delete(data.roomCode);
-        console.log(`Room ${data.roomCode} dissolved`);
-      }
+    if (!canRejoin || !gameInProgress) {
+      removePlayer(room, data.playerId);
+      return;
     }
     
-    // If game in progress and player was alive, handle appropriately
-    if (room.gameState.phase !== PHASE.LOBBY && player && player.isAlive) {
-      if (player.role === 'imposter') {
-        room.gameState.imposters = room.gameState.imposters.filter(id => id !== data.playerId);
-      } else {
-        room.gameState.crewmates = room.gameState.crewmates.filter(id => id !== data.playerId);
-      }
-      
-      // Check win conditions
-      const aliveImposters = room.gameState.imposters.filter(id => {
-        const p = room.players.get(id);
-        return p && p.isAlive;
-      }).length;
-      
-      const aliveCrewmates = room.gameState.crewmates.filter(id => {
-        const p = room.players.get(id);
-        return p && p.isAlive;
-      }).length;
-      
-      if (aliveImposters === 0) {
-        room.gameState.phase = PHASE.GAME_OVER;
-        io.to(data.roomCode).emit('gameOver', { winners: 'crewmates', reason: 'All imposters eliminated' });
-      } else if (aliveImposters >= aliveCrewmates) {
-        room.gameState.phase = PHASE.GAME_OVER;
-        io.to(data.roomCode).emit('gameOver', { winners: 'imposters', reason: 'Imposters outnumber crewmates' });
-      }
-    }
+    // Hold the player's slot so they can rejoin after a dropped connection
+    player.connected = false;
+    io.to(data.roomCode).emit('playerDisconnected', { playerId: data.playerId });
+    
+    room.disconnectTimers.set(data.playerId, setTimeout(() => {
+      room.disconnectTimers.delete(data.playerId);
+      removePlayer(room, data.playerId);
+    }, RECONNECT_GRACE_PERIOD));
   }
 });
 